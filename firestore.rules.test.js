@@ -0,0 +1,169 @@
+// Access rules against the Firestore emulator: `npm run test:rules` starts
+// one and runs this file. Under a plain `npm test` (no emulator) it is skipped.
+import { readFileSync } from "node:fs";
+import process from "node:process";
+import { describe, it, beforeAll, beforeEach, afterAll } from "vitest";
+import { initializeTestEnvironment, assertSucceeds, assertFails } from "@firebase/rules-unit-testing";
+import { doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
+import { requestRematch } from "./src/series.js";
+
+const APP_ID = "test-app";
+const CODE = "ABCDEF";
+const roomPath = `artifacts/${APP_ID}/public/data/bottleship/${CODE}`;
+
+// A 1 vs 1 game in progress: the host has fired at A1 and the guest has to answer
+const room = () => ({
+  host: "alice",
+  guest: "bob",
+  hostName: "Alice",
+  guestName: "Bob",
+  players: ["host", "guest"],
+  teams: false,
+  status: "playing",
+  turn: "host",
+  boards: {},
+  out: [],
+  log: [],
+  seq: 3,
+  clockId: "off",
+  clock: null,
+  hostCommit: "host-commit",
+  guestCommit: "guest-commit",
+  pendingShot: { by: "host", target: "guest", cell: "A1", id: 1, at: 1 },
+  created: Date.now(),
+  updatedAt: Date.now(),
+});
+
+// The defender's answer: a miss at A1, and the guest's turn
+const answer = () => ({
+  boards: { guest: { shots: { A1: "miss" }, sunk: [], stale: [], shield: null } },
+  log: [{ shooter: "host", target: "guest", cell: "A1", result: "miss", at: 1 }],
+  out: [],
+  resigned: [],
+  turn: "guest",
+  pendingShot: null,
+  lastResult: { cell: "A1", result: "miss", by: "host", id: 1 },
+  seq: 4,
+  updatedAt: Date.now(),
+});
+
+// The same room once the host has won the first game of a best of 3 and the guest asked for more
+const finished = () => ({
+  ...room(),
+  status: "finished",
+  winner: "host",
+  pendingShot: null,
+  rematch: { guest: true },
+  series: { bestOf: 3, wins: { host: 0, guest: 0 }, games: 1, first: "host" },
+});
+// A 2 vs 2 game where it is Carol's turn to shoot for the host's side
+const teamRoom = () => ({
+  ...room(),
+  guest2: "carol",
+  guest3: "dave",
+  guest2Name: "Carol",
+  guest3Name: "Dave",
+  players: ["host", "guest", "guest2", "guest3"],
+  teams: true,
+  pendingShot: null,
+  shooters: { host: "guest2" },
+});
+const shot = () => ({ pendingShot: { by: "host", target: "guest", cell: "A1", id: 1, at: 1 }, seq: 4, updatedAt: Date.now() });
+
+const reset = () => ({ ...requestRematch(finished(), "host"), seq: 4, updatedAt: Date.now() });
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)("firestore.rules", () => {
+  let env;
+  const as = (uid) => env.authenticatedContext(uid).firestore();
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: "demo-bottleship",
+      firestore: { rules: readFileSync(new URL("./firestore.rules", import.meta.url), "utf8") },
+    });
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, roomPath), room());
+      await setDoc(doc(db, `${roomPath}/private/guest`), { owner: "bob", bottles: ["A2", "B2", "C3", "D4"], salt: "salt" });
+    });
+  });
+
+  afterAll(() => env.cleanup());
+
+  describe("private layouts", () => {
+    it("can be read by their owner", async () => {
+      await assertSucceeds(getDoc(doc(as("bob"), `${roomPath}/private/guest`)));
+    });
+
+    it("can't be read by the other player or a stranger", async () => {
+      await assertFails(getDoc(doc(as("alice"), `${roomPath}/private/guest`)));
+      await assertFails(getDoc(doc(as("mallory"), `${roomPath}/private/guest`)));
+    });
+
+    it("can only be created by the player in that seat", async () => {
+      await assertFails(setDoc(doc(as("alice"), `${roomPath}/private/guest`), { owner: "alice", bottles: [], salt: "s" }));
+      await assertSucceeds(setDoc(doc(as("alice"), `${roomPath}/private/host`), { owner: "alice", bottles: [], salt: "s" }));
+    });
+  });
+
+  describe("resolving a shot", () => {
+    it("is allowed to the defender", async () => {
+      await assertSucceeds(updateDoc(doc(as("bob"), roomPath), answer()));
+    });
+
+    it("is refused to the shooter, who can't write the results of its own shots", async () => {
+      await assertFails(updateDoc(doc(as("alice"), roomPath), answer()));
+      await assertFails(updateDoc(doc(as("alice"), roomPath), { ...answer(), boards: { host: { shots: {}, sunk: [], stale: [] } } }));
+    });
+
+    it("can't hand the defender the win or knock the shooter out", async () => {
+      await assertFails(updateDoc(doc(as("bob"), roomPath), { ...answer(), winner: "guest", status: "finished" }));
+      await assertFails(updateDoc(doc(as("bob"), roomPath), { ...answer(), out: ["host"] }));
+    });
+
+    it("can't be written by a stranger", async () => {
+      await assertFails(updateDoc(doc(as("mallory"), roomPath), answer()));
+    });
+  });
+
+  describe("2 vs 2 shots", () => {
+    beforeEach(() => env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), roomPath), teamRoom())));
+
+    it("are fired by the teammate whose turn it is", async () => {
+      await assertSucceeds(updateDoc(doc(as("carol"), roomPath), shot()));
+    });
+
+    it("can't be fired by the other teammate out of turn", async () => {
+      await assertFails(updateDoc(doc(as("alice"), roomPath), shot()));
+    });
+
+    it("hand the next shot to the other teammate when answered", async () => {
+      await env.withSecurityRulesDisabled((context) => updateDoc(doc(context.firestore(), roomPath), { ...shot(), seq: 3 }));
+      await assertFails(updateDoc(doc(as("dave"), roomPath), answer()));
+      await assertSucceeds(updateDoc(doc(as("dave"), roomPath), { ...answer(), shooters: { host: "host" } }));
+    });
+  });
+
+  describe("a rematch reset", () => {
+    beforeEach(() => env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), roomPath), finished())));
+
+    it("counts the finished game in the series", async () => {
+      await assertSucceeds(updateDoc(doc(as("alice"), roomPath), reset()));
+    });
+
+    it("can't rewrite the series score or who shoots first", async () => {
+      const { series } = reset();
+      await assertFails(updateDoc(doc(as("alice"), roomPath), { ...reset(), series: { ...series, wins: { host: 2, guest: 0 } } }));
+      await assertFails(updateDoc(doc(as("alice"), roomPath), { ...reset(), series: { ...series, games: 1 } }));
+      await assertFails(updateDoc(doc(as("alice"), roomPath), { ...reset(), series: { ...series, first: "host" }, turn: "host" }));
+    });
+
+    it("can't hand a seat to someone else", async () => {
+      await assertFails(updateDoc(doc(as("alice"), roomPath), { ...reset(), guest: "mallory" }));
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Headless AI benchmark: plays every difficulty against random layouts and
+// reports how many shots each needs to find the whole fleet.
+//
+//   npm run bench:ai -- [games=2000] [variant=classic] [crates]
+//   npm run bench:ai -- 5000 large crates
+
+import { VARIANTS, DEFAULT_RULES, randomLayout, piecesOf } from '../src/game_engine.js';
+import { AI_LEVELS, createAI } from '../src/ai_player.js';
+
+const [gamesArg, variantArg, cratesArg] = process.argv.slice(2);
+const games = Number(gamesArg) || 2000;
+const variant = VARIANTS[variantArg] || VARIANTS.classic;
+const rules = { ...DEFAULT_RULES, crates: cratesArg === 'crates' };
+
+function playOut(level, layout) {
+  const ai = createAI({ level, variant, rules });
+  const pieces = piecesOf(layout, variant, rules);
+  const hits = new Set();
+  let shots = 0;
+  while (hits.size < layout.length) {
+    const cell = ai.nextMove();
+    if (!cell) break;
+    shots++;
+    const hit = layout.includes(cell);
+    if (hit) hits.add(cell);
+    const sunk = hit && rules.crates && pieces.find((p) => p.includes(cell) && p.every((c) => hits.has(c)));
+    ai.registerResult(cell, hit ? 'hit' : 'miss', sunk || null);
+  }
+  return shots;
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+console.log(`${games} games on ${variant.label}${rules.crates ? ' (crates)' : ''}\n`);
+console.log('level    avg    p50  p90  max   ms');
+for (const level of Object.keys(AI_LEVELS)) {
+  const started = Date.now();
+  const results = [];
+  for (let i = 0; i < games; i++) results.push(playOut(level, randomLayout(variant, rules)));
+  results.sort((a, b) => a - b);
+  const avg = results.reduce((sum, n) => sum + n, 0) / results.length;
+  console.log([
+    level.padEnd(8),
+    avg.toFixed(2).padStart(5),
+    String(percentile(results, 0.5)).padStart(5),
+    String(percentile(results, 0.9)).padStart(4),
+    String(results[results.length - 1]).padStart(4),
+    String(Date.now() - started).padStart(5),
+  ].join(' '));
+}
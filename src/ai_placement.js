@@ -0,0 +1,107 @@
+// --- AI Fleet Placement ---
+// Instead of one uniform random layout, the AI samples many legal layouts and
+// keeps one that fits its placement personality. It also remembers where the
+// human likes to open fire during the session and steers away from there.
+// Pass a seeded `rand` (see rng.js) to get the same layout every time.
+
+import { DEFAULT_RULES, cellsFor, parseCell, piecesOf, randomLayout } from './game_engine.js';
+
+export const PLACEMENT_STYLES = {
+  random: { id: "random", label: "🎲 Random" },
+  spread: { id: "spread", label: "↔️ Spread out" },
+  clustered: { id: "clustered", label: "🫧 Clustered" },
+  edges: { id: "edges", label: "🧱 Edge hugger" },
+  antiParity: { id: "antiParity", label: "♟️ Anti-parity" },
+};
+export const SURPRISE_STYLE = "surprise";
+
+const CANDIDATES = 200;
+const HEAT_WEIGHT = 0.75;
+// How many of the human's first shots per game feed the memory, and how much
+// older games fade each time a new one is recorded.
+export const OPENING_SHOTS = 5;
+const MEMORY_DECAY = 0.8;
+
+const distance = (a, b) => {
+  const pa = parseCell(a);
+  const pb = parseCell(b);
+  return Math.abs(pa.col - pb.col) + Math.abs(pa.row - pb.row);
+};
+
+const onEdge = (cell, variant) => {
+  const { col, row } = parseCell(cell);
+  return col === 0 || row === 1 || col === variant.size - 1 || row === variant.size;
+};
+
+// Each style scores a layout roughly in 0..1 (higher = more in character).
+const STYLE_SCORES = {
+  random: () => 0,
+
+  spread: (layout, { variant, rules }) => {
+    const pieces = piecesOf(layout, variant, rules);
+    let closest = Infinity;
+    pieces.forEach((a, i) => pieces.slice(i + 1).forEach((b) => {
+      a.forEach((x) => b.forEach((y) => { closest = Math.min(closest, distance(x, y)); }));
+    }));
+    return pieces.length > 1 ? closest / variant.size : 0;
+  },
+
+  clustered: (layout, { variant }) => {
+    let total = 0;
+    let pairs = 0;
+    layout.forEach((a, i) => layout.slice(i + 1).forEach((b) => {
+      total += distance(a, b);
+      pairs++;
+    }));
+    return pairs ? 1 - total / pairs / (2 * variant.size) : 0;
+  },
+
+  edges: (layout, { variant }) => layout.filter((c) => onEdge(c, variant)).length / layout.length,
+
+  // The Normal AI hunts on even board indexes first; hide on the odd ones.
+  antiParity: (layout, { variant }) => {
+    const cells = cellsFor(variant);
+    return layout.filter((c) => cells.indexOf(c) % 2 === 1).length / layout.length;
+  },
+};
+
+// Average learned "the human shoots here early" weight of the layout, 0..1.
+function heatPenalty(layout, heat) {
+  const values = Object.values(heat || {});
+  const max = values.length ? Math.max(...values) : 0;
+  if (!max) return 0;
+  return layout.reduce((sum, c) => sum + (heat[c] || 0) / max, 0) / layout.length;
+}
+
+export function resolveStyle(style, rand = Math.random) {
+  if (style !== SURPRISE_STYLE && PLACEMENT_STYLES[style]) return style;
+  const ids = Object.keys(PLACEMENT_STYLES);
+  return ids[Math.floor(rand() * ids.length)];
+}
+
+// Best-scoring layout among CANDIDATES samples, chosen at random from the top
+// tenth so the AI stays in character without becoming predictable.
+export function placeFleet({ style = "random", variant, rules = DEFAULT_RULES, heat = null, rand = Math.random }) {
+  const score = STYLE_SCORES[style] || STYLE_SCORES.random;
+  const context = { variant, rules };
+  const scored = Array.from({ length: CANDIDATES }, () => {
+    const layout = randomLayout(variant, rules, rand);
+    return { layout, value: score(layout, context) - HEAT_WEIGHT * heatPenalty(layout, heat) };
+  }).sort((a, b) => b.value - a.value);
+  const top = scored.slice(0, Math.max(1, Math.floor(CANDIDATES / 10)));
+  return top[Math.floor(rand() * top.length)].layout;
+}
+
+// --- Session memory of the human's opening shots ---
+// memory: { [variantId]: { [cell]: weight } }
+export function learnOpeningShots(memory, variant, shots) {
+  const previous = (memory && memory[variant.id]) || {};
+  const heat = Object.fromEntries(Object.entries(previous).map(([c, w]) => [c, w * MEMORY_DECAY]));
+  shots.slice(0, OPENING_SHOTS).forEach((cell, i) => {
+    // Earlier shots say more about habits than later ones
+    heat[cell] = (heat[cell] || 0) + (OPENING_SHOTS - i) / OPENING_SHOTS;
+  });
+  return { ...memory, [variant.id]: heat };
+}
+
+export const heatFor = (memory, variant) => (memory && memory[variant.id]) || null;
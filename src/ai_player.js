@@ -0,0 +1,157 @@
+// --- AI Opponent ---
+// Pure shooting strategies, independent of React so games can be simulated
+// headlessly (see scripts/ai_benchmark.js).
+//
+//   const ai = createAI({ level: "expert", variant, rules });
+//   const cell = ai.nextMove();
+//   ai.registerResult(cell, "hit", sunkCells);
+//
+// For Salvo games, ai.nextMoves(n) picks a whole volley up front; each result
+// is then registered as usual. With movable bottles, ai.registerMove() says
+// the other side moved a piece, so the AI's misses can't be trusted any more.
+
+import {
+  DEFAULT_VARIANT, DEFAULT_RULES, cellsFor, neighboursOf, fleetFor, pieceCells,
+} from './game_engine.js';
+
+export const AI_LEVELS = {
+  easy: { id: "easy", label: "😌 Easy", description: "Fires at random" },
+  normal: { id: "normal", label: "🙂 Normal", description: "Hunts, then checks neighbours" },
+  expert: { id: "expert", label: "😈 Expert", description: "Probability map over every layout" },
+};
+export const DEFAULT_AI_LEVEL = "normal";
+
+const pick = (arr, rand) => (arr.length ? arr[Math.floor(rand() * arr.length)] : null);
+
+// Placements covering a known hit are far more likely than blind ones.
+const HIT_WEIGHT = 25;
+
+// Expert: for every remaining piece, count each placement still consistent
+// with the results so far (no misses, no sunk cells, crates not touching a
+// sunk crate) and add its weight to the unshot cells it covers.
+export function probabilityMap({ variant, rules, results, sunk, remaining }) {
+  const cells = cellsFor(variant);
+  const sunkSet = new Set(sunk);
+  const openHits = cells.filter((c) => results[c] === "hit" && !sunkSet.has(c));
+  const blocked = (c) =>
+    results[c] === "miss" || sunkSet.has(c) ||
+    (rules.crates && neighboursOf(c, variant).some((n) => sunkSet.has(n)));
+
+  const density = Object.fromEntries(cells.map((c) => [c, 0]));
+  for (const length of remaining) {
+    for (const anchor of cells) {
+      for (const orientation of length > 1 ? ["h", "v"] : ["h"]) {
+        const piece = pieceCells(anchor, length, orientation, variant);
+        if (!piece || piece.some(blocked)) continue;
+        const covered = piece.filter((c) => openHits.includes(c)).length;
+        // While hits are unresolved, only placements through them matter
+        if (openHits.length && covered === 0) continue;
+        const weight = covered ? HIT_WEIGHT ** covered : 1;
+        piece.forEach((c) => {
+          if (!results[c]) density[c] += weight;
+        });
+      }
+    }
+  }
+  return density;
+}
+
+export function createAI({ level = DEFAULT_AI_LEVEL, variant = DEFAULT_VARIANT, rules = DEFAULT_RULES, rand = Math.random } = {}) {
+  let results = {}; // cell -> "hit" | "miss"
+  let sunk = [];    // cells of pieces known to be sunk
+  let queue = [];   // Normal: neighbours of recent hits
+
+  const cells = cellsFor(variant);
+  const untried = () => cells.filter((c) => !results[c]);
+
+  function reset() {
+    results = {};
+    sunk = [];
+    queue = [];
+  }
+
+  // Lengths still afloat. Single bottles sink on the first hit.
+  function remainingFleet() {
+    const fleet = fleetFor(variant, rules);
+    if (!rules.crates) {
+      const hits = Object.values(results).filter((r) => r === "hit").length;
+      return fleet.slice(hits);
+    }
+    const remaining = [...fleet];
+    const sunkSet = new Set(sunk);
+    const seen = new Set();
+    sunk.forEach((cell) => {
+      if (seen.has(cell)) return;
+      // Walk the sunk piece this cell belongs to
+      const piece = [cell];
+      seen.add(cell);
+      for (let i = 0; i < piece.length; i++) {
+        neighboursOf(piece[i], variant).filter((n) => sunkSet.has(n) && !seen.has(n)).forEach((n) => {
+          seen.add(n);
+          piece.push(n);
+        });
+      }
+      const at = remaining.indexOf(piece.length);
+      if (at !== -1) remaining.splice(at, 1);
+    });
+    return remaining;
+  }
+
+  const strategies = {
+    easy: () => pick(untried(), rand),
+
+    normal: () => {
+      while (queue.length) {
+        const c = queue.shift();
+        if (!results[c]) return c;
+      }
+      const candidates = untried();
+      const parity = candidates.filter((c) => cells.indexOf(c) % 2 === 0);
+      return pick(parity.length ? parity : candidates, rand);
+    },
+
+    expert: () => {
+      const density = probabilityMap({ variant, rules, results, sunk, remaining: remainingFleet() });
+      const candidates = untried();
+      const best = Math.max(...candidates.map((c) => density[c]));
+      return pick(candidates.filter((c) => density[c] === best), rand);
+    },
+  };
+
+  function nextMove() {
+    if (untried().length === 0) return null;
+    return (strategies[level] || strategies[DEFAULT_AI_LEVEL])();
+  }
+
+  // Picks one at a time, each earlier pick counted as tried but unknown, so a
+  // volley never repeats a cell and Normal still works through its queue.
+  function nextMoves(count) {
+    const picks = [];
+    while (picks.length < count) {
+      const cell = nextMove();
+      if (!cell) break;
+      picks.push(cell);
+      results[cell] = "pending";
+    }
+    picks.forEach((cell) => delete results[cell]);
+    return picks;
+  }
+
+  function registerResult(cell, result, sunkCells = null) {
+    if (!cell) return;
+    results[cell] = result;
+    if (sunkCells) sunk = [...sunk, ...sunkCells];
+    if (result === "hit" && level === "normal") {
+      const neighbours = neighboursOf(cell, variant).filter((c) => !results[c]);
+      neighbours.sort(() => rand() - 0.5).forEach((n) => queue.push(n));
+    }
+  }
+
+  // A moved piece may now sit on any earlier miss: those cells count as untried
+  // again. Hits and sunk pieces never move, so they stay.
+  function registerMove() {
+    results = Object.fromEntries(Object.entries(results).filter(([, r]) => r !== "miss"));
+  }
+
+  return { level, reset, nextMove, nextMoves, registerResult, registerMove };
+}
@@ -1,14 +1,49 @@
 import { useMemo, useRef, useState, useEffect } from "react";
 import { initializeApp } from "firebase/app";
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from "firebase/auth";
-import { getFirestore, doc, setDoc, updateDoc, onSnapshot, getDoc } from "firebase/firestore";
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 import { getAnalytics, logEvent } from "firebase/analytics";
+import QRCode from "qrcode";
 
 import HIT from './assets/HIT.mp3';
 import MISS from './assets/MISS.mp3';
 import WIN from './assets/WIN.mp3';
 import CHAT from './assets/CHAT.mp3';
 
+import {
+  VARIANTS, DEFAULT_VARIANT, variantById, cellsFor,
+  DEFAULT_RULES, rulesFrom, fleetFor, piecesOf, toggleSetupCell, randomLayout, isValidLayout,
+  createMatch, matchReducer, applyActions, placeBottles, fire, resign, gridFor, lastShot, sunkOn, canFire, replayTo,
+  ABILITIES, abilitiesLeft, canUseAbility, sonar, strike, raiseShield, sonarArea, salvo, salvoSize,
+  relocate, turnsUntilMove, relocationsFor, isOut, targetFor, hitsOn,
+} from './game_engine.js';
+import { commitLayout, verifyReveal, currentLayout } from './commitment.js';
+import { AI_LEVELS, DEFAULT_AI_LEVEL, createAI } from './ai_player.js';
+import {
+  PLACEMENT_STYLES, SURPRISE_STYLE, resolveStyle, placeFleet, learnOpeningShots, heatFor,
+} from './ai_placement.js';
+import { createRng, newSeed, dailySeed, streamFor } from './rng.js';
+import { exportMatch, importMatch } from './match_file.js';
+import { createLocalTransport, moveRejected } from './room_transport.js';
+import {
+  CLOCK_OPTIONS, DEFAULT_CLOCK, clockOption, createClock, switchClock, stopClock, timeLeft, isFlagged, formatClock,
+} from './turn_clock.js';
+import { createFirestoreTransport } from './firestore_transport.js';
+import { QUEUE_TIMEOUT_MS, queueKey, matchFor, enterQueue, announceRoom, exitQueue } from './matchmaking.js';
+import { CODE_LENGTH, normalizeRoomCode, isRoomCode, openRoom, sweepRooms } from './room_lifecycle.js';
+import {
+  MAX_MESSAGE_LENGTH, createMessage, createTeamEmote, createPing, activePing, sendWait, recordSend, toggleMute,
+  visibleMessages, chatEnabled,
+} from './chat.js';
+import {
+  PLAYER_COUNT_OPTIONS, DEFAULT_PLAYER_OPTION, playerOption, rolesFor, playersOf, isTeamRoom, sidesOf, sideOf, membersOf,
+  teammateOf, isFreeForAll, roleOf, seatsTaken, everyoneJoined, playersLeft, nameOf, sideName, shooterFor, passShot,
+} from './room_players.js';
+import { SERIES_OPTIONS, DEFAULT_BEST_OF, createSeries, seriesScore, seriesWinner, requestRematch } from './series.js';
+import {
+  STAT_CATEGORIES, statCategory, loadProfile, saveProfile, withName, recordGame, summarize, totals,
+} from './profile.js';
+
 // --- Firebase Configuration & Initialization ---
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -23,6 +58,11 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
+// Local development / rules testing: `firebase emulators:start` (see firebase.json)
+if (import.meta.env.VITE_USE_FIREBASE_EMULATOR === 'true') {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+}
 let analytics = null;
 try {
   analytics = getAnalytics(app);
@@ -36,61 +76,247 @@ const logGameEvent = (eventName, params) => {
 };
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
-// --- Game Constants & Helpers ---
-const COLS = ["A", "B", "C", "D"];
-const ROWS = [1, 2, 3, 4];
-const ALL_CELLS = COLS.flatMap((c) => ROWS.map((r) => `${c}${r}`));
+// --- Room Transport ---
+// VITE_ROOM_TRANSPORT=local (or ?transport=local) plays between tabs of this
+// browser with no network; otherwise rooms go through Firestore.
+const useLocalRooms = import.meta.env.VITE_ROOM_TRANSPORT === 'local'
+  || new URLSearchParams(window.location.search).get('transport') === 'local';
+const rooms = useLocalRooms ? createLocalTransport() : createFirestoreTransport(db, appId);
+const queues = useLocalRooms
+  ? createLocalTransport({ namespace: 'queue' })
+  : createFirestoreTransport(db, appId, 'bottleship_queue');
+// Link that opens the app straight into joining `code`
+function inviteUrl(code) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('room', code);
+  if (useLocalRooms) url.searchParams.set('transport', 'local');
+  return url.toString();
+}
+
+// Alerts and returns false if `code` can't be a room code
+function checkRoomCode(code) {
+  if (!code) {
+    alert('Please enter a room code');
+    return false;
+  }
+  if (!isRoomCode(code)) {
+    alert(`Room codes are ${CODE_LENGTH} letters and numbers, without O, 0, I or 1`);
+    return false;
+  }
+  return true;
+}
+
+// Offline there is no Firebase auth, so each tab gets its own id instead
+function localUser() {
+  let uid = sessionStorage.getItem('bottleship_local_uid');
+  if (!uid) {
+    uid = `local-${newSeed()}`;
+    sessionStorage.setItem('bottleship_local_uid', uid);
+  }
+  return { uid, isAnonymous: true };
+}
 
+// --- Game Constants & Helpers ---
 // Check if it's Republic Day (January 26, 2026)
 const isRepublicDay = () => {
   const today = new Date();
   return today.getMonth() === 0 && today.getDate() === 26 && today.getFullYear() === 2026;
 };
 
-const idx = (cell) => ALL_CELLS.indexOf(cell);
-const safeRandChoice = (arr) => {
-  if (!Array.isArray(arr) || arr.length === 0) return null;
-  return arr[Math.floor(Math.random() * arr.length)];
-};
+// --- Online Room <-> Engine ---
+// The room document stores everything by role ("host", "guest", ... see
+// room_players.js), in 2 vs 2 by side. Locally we always play as "player"; in
+// a two-sided room the other role is "opponent", in free-for-all the others
+// keep their role names as seats. Layouts are never in the room document: only commitments,
+// shot results written by the defender, and the reveals once the game is over.
+const seatOf = (role, me, players) => (role === me ? "player" : players.length === 2 ? "opponent" : role);
+const roleAt = (seat, me, players) =>
+  (seat === "player" ? me : seat === "opponent" ? players.find((r) => r !== me) : seat);
+
+// Board colours by turn order, for views that show every board
+const SEAT_COLORS = ['#10b981', '#0ea5e9', '#f59e0b', '#a855f7'];
+
+// --- Presence ---
+// Each client writes `${role}SeenAt` every heartbeat. Staleness is judged by
+// when *we* last saw that value change, so the two clocks never need to agree.
+// SeenAt 0 means the player closed the page on purpose.
+const HEARTBEAT_MS = 10000;
+const STALE_MS = 25000;
+const FORFEIT_GRACE_MS = 60000;
+
+// Spectators refresh their entry in `spectators` every heartbeat. Their clocks
+// aren't ours, so the window is generous rather than exact.
+const SPECTATOR_TTL_MS = 60000;
+const watchingCount = (data, now = Date.now()) =>
+  Object.values(data?.spectators || {}).filter((s) => Math.abs(now - s.seenAt) < SPECTATOR_TTL_MS).length;
+
+// Series score as "mine–theirs", or everyone's in free-for-all
+function seriesLine(room, me) {
+  const score = seriesScore(room);
+  const players = sidesOf(room);
+  if (players.length === 2) return `${score[me]}–${score[players.find((r) => r !== me)]}`;
+  return players.map((r) => `${r === me ? 'You' : sideName(room, r)} ${score[r]}`).join(' · ');
+}
 
-// --- AI Logic ---
-function useRefinedAI() {
-  const tried = useRef(new Set());
-  const queue = useRef([]);
+// Spectator emotes carry a name, since there can be many of them
+const emoteText = (emote) => (emote.from === 'spectator' ? `👀 ${emote.name}: ${emote.content}` : emote.content);
 
-  function reset() {
-    tried.current = new Set();
-    queue.current = [];
-  }
+// A secret's layout as it stands now, after any moves (see commitment.js)
+const layoutOf = (secret, room) => (secret ? currentLayout(secret, variantById(room.variant), rulesFrom(room.rules)) : []);
 
-  function nextMove() {
-    while (queue.current.length) {
-      const c = queue.current.shift();
-      if (!tried.current.has(c) && ALL_CELLS.includes(c)) return c;
-    }
-    const candidates = ALL_CELLS.filter((c) => !tried.current.has(c));
-    if (candidates.length === 0) return null;
-    const parity = candidates.filter((c) => idx(c) % 2 === 0);
-    return safeRandChoice(parity.length ? parity : candidates);
+// 2 vs 2 sides hide one shared fleet on the next board size up
+function teamVariant(variant) {
+  const sizes = Object.values(VARIANTS);
+  return sizes[Math.min(sizes.findIndex((v) => v.id === variant.id) + 1, sizes.length - 1)];
+}
+
+// Where a side's secret lives: private/{side}, or in 2 vs 2 the seat of
+// whichever teammate placed the bottles (`${side}PlacedBy`). The document is
+// owned by that player and readable by their teammate too.
+const secretRole = (room, side) => room?.[`${side}PlacedBy`] || side;
+const secretOwners = (room, role) => ({
+  owner: room[role],
+  ...(isTeamRoom(room) ? { members: [room[teammateOf(room, role)]] } : {}),
+});
+
+// True while our copy of a shared secret misses a teammate's move or shield
+// that the room already knows about
+const secretBehind = (room, side, secret) =>
+  (room.log || []).filter((e) => e.result === 'moved' && e.shooter === side).length > (secret.moves || []).length
+  || Boolean(room.boards?.[side]?.shield && !secret.shield);
+
+// `log` is the ordered list of every resolved shot, shooter and target given
+// as roles. `boards[role]` is { shots, sunk, stale, shield } for the shots at
+// that role's bottles, written only by that role. Arsenal rooms also keep
+// `arsenal: { [role]: uses left }`; `shield` is just a flag, the shielded cell
+// is only in the secret. A move's log entry never says which piece moved:
+// that is filled in from the secrets. `resigned` lists who was dropped (see
+// dropFromRoom) and after how many log entries, as in the engine.
+//
+// `mySecret` is our private { bottles, salt, shield?, moves? } (see
+// commitment.js), null if we don't have it; everyone else's only shows up in
+// their reveal.
+function roomToMatch(data, me, mySecret = null) {
+  const players = sidesOf(data);
+  const seat = (role) => seatOf(role, me, players);
+  const secretOf = (role) => (role === me ? mySecret : data[`${role}Reveal`] || null);
+  const moves = Object.fromEntries(players.map((r) => [r, [...(secretOf(r)?.moves || [])]]));
+  const history = (data.log || []).map(({ shooter, target, ...shot }) => {
+    if (shot.result !== "moved") return { ...shot, shooter: seat(shooter), target: seat(target) };
+    const move = moves[shooter].shift();
+    return { ...shot, shooter: seat(shooter), target: seat(shooter), ...(move ? { from: move.from, cell: move.to } : {}) };
+  });
+  const base = createMatch({
+    variant: variantById(data.variant),
+    rules: rulesFrom(data.rules),
+    seats: players.map(seat),
+    first: seat(data.turn || players[0]),
+  });
+  const boardOf = (role) => {
+    const board = data.boards?.[role] || {};
+    return {
+      bottles: layoutOf(secretOf(role), data),
+      shots: board.shots || {},
+      sunk: board.sunk || [],
+      shield: board.shield ? secretOf(role)?.shield || true : null,
+      stale: board.stale || [],
+    };
+  };
+  return {
+    ...base,
+    boards: Object.fromEntries(players.map((r) => [seat(r), boardOf(r)])),
+    arsenal: base.arsenal && data.arsenal ? Object.fromEntries(players.map((r) => [seat(r), data.arsenal[r]])) : base.arsenal,
+    out: (data.out || []).map(seat),
+    winner: data.winner ? seat(data.winner) : null,
+    history,
+    resigned: (data.resigned || []).map((r) => ({ ...r, seat: seat(r.seat) })),
+  };
+}
+
+// Written after a move: by the defender once it has resolved a shot against
+// its own layout, or by a player moving or shielding its own bottles. Only
+// our own board is ours to write.
+function matchToRoomUpdate(match, room, me) {
+  const players = sidesOf(room);
+  const role = (seat) => roleAt(seat, me, players);
+  const update = {
+    boards: {
+      ...(room.boards || {}),
+      [me]: {
+        shots: match.boards.player.shots,
+        sunk: sunkOn(match, "player").flat(),
+        stale: match.boards.player.stale,
+        shield: match.boards.player.shield ? true : null,
+      },
+    },
+    log: match.history.map((entry) => {
+      const { shooter, target, ...shot } = entry;
+      // Which piece moved stays private to its owner
+      if (shot.result === "moved") return { shooter: role(shooter), target: role(shooter), result: "moved", stale: shot.stale, at: shot.at };
+      return { ...shot, shooter: role(shooter), target: role(target) };
+    }),
+    out: match.out.map(role),
+    resigned: match.resigned.map((r) => ({ ...r, seat: role(r.seat) })),
+  };
+  if (match.arsenal) update.arsenal = Object.fromEntries(match.seats.map((s) => [role(s), match.arsenal[s]]));
+  if (match.winner) {
+    update.winner = role(match.winner);
+    update.status = 'finished';
+  } else {
+    update.turn = role(match.turn);
   }
+  return update;
+}
 
-  function registerResult(cell, hit) {
-    if (!cell) return;
-    tried.current.add(cell);
-    if (hit) {
-      const col = cell[0];
-      const row = Number(cell[1]);
-      const neighbours = [
-        `${String.fromCharCode(col.charCodeAt(0) - 1)}${row}`,
-        `${String.fromCharCode(col.charCodeAt(0) + 1)}${row}`,
-        `${col}${row - 1}`,
-        `${col}${row + 1}`,
-      ].filter((c) => ALL_CELLS.includes(c) && !tried.current.has(c));
-      neighbours.sort(() => Math.random() - 0.5).forEach((n) => queue.current.push(n));
-    }
+// Takes `role` out of a game in progress (forfeit, timeout, leaving). In a
+// two-player room that ends it; in free-for-all the rest play on. Any shot
+// by or at them is dropped, and the clock moves on or stops.
+function dropFromRoom(room, me, role, secret, now = Date.now()) {
+  const players = sidesOf(room);
+  const local = roomToMatch(room, me, secret);
+  const next = matchReducer(local, resign(seatOf(role, me, players)));
+  if (next === local) return null;
+  const update = matchToRoomUpdate(next, room, me);
+  const shot = room.pendingShot;
+  if (shot && (shot.by === role || shot.target === role)) update.pendingShot = null;
+  if (room.clock && (next.winner || update.turn !== room.turn)) {
+    update.clock = next.winner ? stopClock(room.clock, now) : switchClock(room.clock, update.turn, now);
   }
+  return update;
+}
 
-  return { reset, nextMove, registerResult };
+// The engine action for a move: a plain shot, a salvo (`cells`) or an Arsenal
+// ability aimed at `cell` on `target`'s board. Online it is built from
+// `pendingShot`, which carries the same fields.
+function moveAction(seat, { cell, cells = null, ability = null, orientation = 'h' }, at = Date.now(), target = null) {
+  if (cells) return salvo(seat, cells, at, target);
+  if (ability === 'sonar') return sonar(seat, cell, at, target);
+  if (ability === 'strike') return strike(seat, cell, orientation, at, target);
+  return fire(seat, cell, at, target);
+}
+
+// The last move as one result, the shots of a strike or salvo taken together
+function lastMove(match) {
+  const last = lastShot(match);
+  const entries = last.volley != null ? match.history.filter((s) => s.volley === last.volley) : [last];
+  return {
+    cell: entries[0].cell,
+    result: last.result,
+    sunk: entries.find((s) => s.sunk)?.sunk || null,
+    ability: last.ability || null,
+    salvo: last.volley != null && !last.ability,
+    count: last.count ?? null,
+    hits: entries.filter((s) => s.result === 'hit').length,
+  };
+}
+
+// What a move that wasn't a plain hit or miss did, for the turn message
+function moveNote({ ability, salvo, cell, count, hits, result }) {
+  if (salvo) return `🎯 Salvo: ${hits} hit${hits === 1 ? '' : 's'}`;
+  if (ability === 'sonar') return `📡 ${count} found around ${cell}`;
+  if (ability === 'strike') return `💣 Strike: ${hits} hit${hits === 1 ? '' : 's'}`;
+  if (result === 'blocked') return `🛡️ ${cell} was shielded`;
+  return null;
 }
 
 // --- Environment Indicator Component ---
@@ -151,7 +377,7 @@ function Confetti() {
   );
 }
 
-function InteractiveTutorial({ onClose, sounds }) {
+function InteractiveTutorial({ onClose, sounds, variant = DEFAULT_VARIANT }) {
   const [step, setStep] = useState(0);
   const [tutorialBottles, setTutorialBottles] = useState([]); // Stores user's setup
   const [tutorialGuesses, setTutorialGuesses] = useState([]); // Stores user's shots
@@ -160,15 +386,15 @@ function InteractiveTutorial({ onClose, sounds }) {
     {
       id: "setup",
       title: "Step 1: Hide Your Fleet",
-      text: "Tap 4 squares to place your bottles.\nThese specific spots will be used next!",
-      task: "Place 4 bottles below",
+      text: `Tap ${variant.bottles} squares to place your bottles.\nThese specific spots will be used next!`,
+      task: `Place ${variant.bottles} bottles below`,
       mode: "setup"
     },
     {
       id: "gameplay",
       title: "Step 2: Attack Practice",
       text: "Now, pretend you are the opponent.\nTry to find the bottles you just hid!",
-      task: "Find all 4 bottles!",
+      task: `Find all ${variant.bottles} bottles!`,
       mode: "play"
     },
     {
@@ -188,7 +414,7 @@ function InteractiveTutorial({ onClose, sounds }) {
     if (isSetup) {
       setTutorialBottles(prev => {
         if (prev.includes(cell)) return prev.filter(c => c !== cell);
-        if (prev.length >= 4) return prev;
+        if (prev.length >= variant.bottles) return prev;
         return [...prev, cell];
       });
     } else if (isGameplay) {
@@ -211,11 +437,11 @@ function InteractiveTutorial({ onClose, sounds }) {
 
   const canProceed = () => {
     if (current.id === "feedback") return true;
-    if (isSetup) return tutorialBottles.length === 4;
-    // For gameplay, proceed if they found all 4 bottles
+    if (isSetup) return tutorialBottles.length === variant.bottles;
+    // For gameplay, proceed if they found all the bottles
     if (isGameplay) {
       const foundCount = tutorialGuesses.filter(c => tutorialBottles.includes(c)).length;
-      return foundCount === 4;
+      return foundCount === variant.bottles;
     }
     return false;
   };
@@ -276,15 +502,15 @@ function InteractiveTutorial({ onClose, sounds }) {
               {canProceed() ? "✅ Excellent! Continue." : current.task}
             </p>
 
-            {/* THE GRID: Matches main game 4x4 layout exactly */}
+            {/* THE GRID: Matches the main game layout for the chosen variant */}
             <div style={{
               display: 'grid',
-              gridTemplateColumns: 'repeat(4, 1fr)',
+              gridTemplateColumns: `repeat(${variant.size}, 1fr)`,
               gap: '6px',
               width: '100%',
               aspectRatio: '1' // Keeps it square 
             }}>
-              {ALL_CELLS.map((c) => {
+              {cellsFor(variant).map((c) => {
                 // Determine State
                 const isPlaced = tutorialBottles.includes(c);
                 const isGuessed = tutorialGuesses.includes(c);
@@ -369,6 +595,788 @@ function InteractiveTutorial({ onClose, sounds }) {
   );
 }
 
+// Board size / bottle count selector shown on the name-input screens
+function VariantPicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Board</p>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+        {Object.values(VARIANTS).map((v) => (
+          <button
+            key={v.id}
+            onClick={() => onChange(v)}
+            style={{
+              padding: '10px 8px', borderRadius: '8px', cursor: 'pointer',
+              border: value.id === v.id ? '2px solid #4f46e5' : '2px solid #e5e7eb',
+              background: value.id === v.id ? '#eef2ff' : '#ffffff',
+              color: value.id === v.id ? '#3730a3' : '#374151',
+              fontSize: '13px', fontWeight: 700, fontFamily: 'inherit'
+            }}
+          >
+            {v.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Difficulty selector on the AI name-input screen
+function AILevelPicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Difficulty</p>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px' }}>
+        {Object.values(AI_LEVELS).map((lvl) => (
+          <button
+            key={lvl.id}
+            onClick={() => onChange(lvl.id)}
+            title={lvl.description}
+            style={{
+              padding: '10px 4px', borderRadius: '8px', cursor: 'pointer',
+              border: value === lvl.id ? '2px solid #4f46e5' : '2px solid #e5e7eb',
+              background: value === lvl.id ? '#eef2ff' : '#ffffff',
+              color: value === lvl.id ? '#3730a3' : '#374151',
+              fontSize: '13px', fontWeight: 700, fontFamily: 'inherit'
+            }}
+          >
+            {lvl.label}
+          </button>
+        ))}
+      </div>
+      <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#9ca3af' }}>{AI_LEVELS[value].description}</p>
+    </div>
+  );
+}
+
+// How the AI hides its own fleet
+function AIStylePicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>AI hiding style</p>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ width: '100%', padding: '10px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit', background: '#ffffff' }}
+      >
+        <option value={SURPRISE_STYLE}>🎁 Surprise me</option>
+        {Object.values(PLACEMENT_STYLES).map((st) => (
+          <option key={st.id} value={st.id}>{st.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Daily challenge (same AI layout for everyone today) or a seed to replay
+function SeedPicker({ daily, onDailyChange, value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <label style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px', fontWeight: 600, color: '#374151', cursor: 'pointer', marginBottom: '8px' }}>
+        <input type="checkbox" checked={daily} onChange={(e) => onDailyChange(e.target.checked)} />
+        📅 Daily challenge
+      </label>
+      {!daily && (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Seed (optional, to replay a game)"
+          style={{ width: '100%', padding: '10px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', boxSizing: 'border-box', fontFamily: 'inherit' }}
+        />
+      )}
+    </div>
+  );
+}
+
+function ClockPicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Clock</p>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ width: '100%', padding: '10px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit', background: '#ffffff' }}
+      >
+        {Object.values(CLOCK_OPTIONS).map((c) => (
+          <option key={c.id} value={c.id}>{c.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function PlayerCountPicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Players</p>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ width: '100%', padding: '10px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit', background: '#ffffff' }}
+      >
+        {PLAYER_COUNT_OPTIONS.map((o) => (
+          <option key={o.id} value={o.id}>{o.label}</option>
+        ))}
+      </select>
+      {playerOption(value).teams && (
+        <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#6b7280' }}>
+          Teammates share one fleet on the next board size up and take turns shooting.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function SeriesPicker({ value, onChange }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Series</p>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ width: '100%', padding: '10px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit', background: '#ffffff' }}
+      >
+        {SERIES_OPTIONS.map((o) => (
+          <option key={o.bestOf} value={o.bestOf}>{o.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Optional rulesets, toggled on the name-input screens next to the board size
+const RULE_OPTIONS = [
+  { key: 'crates', label: '📦 Crates', description: 'Pieces span 2–3 cells and can be sunk' },
+  { key: 'arsenal', label: '🧰 Arsenal', description: 'Sonar, strikes and a shield' },
+  { key: 'salvo', label: '🎯 Salvo', description: 'One shot per bottle you have left, fired together' },
+  { key: 'movable', label: '🔀 Movable', description: 'Move a bottle one cell every few turns' },
+];
+
+function RulesPicker({ value, onChange, note }) {
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <p style={{ margin: '0 0 8px 0', fontSize: '13px', fontWeight: 600, color: '#374151' }}>Rules</p>
+      {RULE_OPTIONS.map((opt) => (
+        <label key={opt.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 10px', borderRadius: '8px', border: '2px solid #e5e7eb', marginBottom: '6px', cursor: 'pointer', fontSize: '13px' }}>
+          <input
+            type="checkbox"
+            checked={!!value[opt.key]}
+            onChange={(e) => onChange({ ...value, [opt.key]: e.target.checked })}
+          />
+          <span style={{ fontWeight: 700, color: '#374151' }}>{opt.label}</span>
+          <span style={{ color: '#9ca3af' }}>{opt.description}</span>
+        </label>
+      ))}
+      {note && <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#9ca3af' }}>{note}</p>}
+    </div>
+  );
+}
+
+const CRATE_HINTS = {
+  'off-board': "That crate doesn't fit there – try rotating",
+  overlap: "Crates can't overlap",
+  adjacent: "Crates can't touch each other",
+  full: 'All crates placed – tap one to pick it up',
+};
+
+// Rotate control + placement feedback for the crates ruleset setup screens
+function CrateControls({ orientation, onRotate, hint }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '6px', marginBottom: '12px' }}>
+      <button onClick={onRotate} style={{ padding: '6px 12px', borderRadius: '6px', background: '#eef2ff', color: '#3730a3', border: '1px solid #c7d2fe', cursor: 'pointer', fontSize: '13px', fontWeight: 700, fontFamily: 'inherit' }}>
+        ↻ {orientation === 'h' ? 'Horizontal' : 'Vertical'}
+      </button>
+      <p style={{ margin: 0, fontSize: '12px', fontWeight: 600, color: hint ? '#ef4444' : '#6b7280' }}>
+        {hint ? CRATE_HINTS[hint] : 'Tap a cell to drop the next crate, tap a crate to pick it up'}
+      </p>
+    </div>
+  );
+}
+
+// --- Arsenal ---
+// Ability buttons on the guess screen. Picking one arms it for the next tap:
+// sonar and strikes on the opponent's board, the shield on your own.
+const ARSENAL_OPTIONS = [
+  { ability: 'sonar', hint: 'Tap the top-left cell of a 2x2 area to scan it' },
+  { ability: 'strike', orientation: 'h', arrow: ' ↔', hint: 'Tap a cell to strike its whole row' },
+  { ability: 'strike', orientation: 'v', arrow: ' ↕', hint: 'Tap a cell to strike its whole column' },
+  { ability: 'shield', hint: 'Tap one of your own cells to shield it' },
+];
+
+function ArsenalBar({ left, armed, onArm, disabled }) {
+  const isArmed = (opt) => armed?.ability === opt.ability && armed.orientation === opt.orientation;
+  const armedOption = ARSENAL_OPTIONS.find(isArmed);
+  return (
+    <div style={{ marginBottom: '16px', textAlign: 'center' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', justifyContent: 'center' }}>
+        {ARSENAL_OPTIONS.map((opt) => {
+          const uses = left?.[opt.ability] || 0;
+          const on = isArmed(opt);
+          return (
+            <button
+              key={`${opt.ability}${opt.orientation || ''}`}
+              onClick={() => onArm(on ? null : { ability: opt.ability, orientation: opt.orientation })}
+              disabled={disabled || uses === 0}
+              title={ABILITIES[opt.ability].description}
+              style={{ padding: '6px 10px', borderRadius: '8px', border: `2px solid ${on ? '#4f46e5' : '#e5e7eb'}`, background: on ? '#eef2ff' : 'white', color: '#374151', cursor: disabled || uses === 0 ? 'default' : 'pointer', opacity: disabled || uses === 0 ? 0.5 : 1, fontSize: '13px', fontWeight: 700, fontFamily: 'inherit' }}
+            >
+              {ABILITIES[opt.ability].label}{opt.arrow || ''} ×{uses}
+            </button>
+          );
+        })}
+      </div>
+      <p style={{ margin: '6px 0 0 0', fontSize: '12px', fontWeight: 600, color: armedOption ? '#4f46e5' : '#9ca3af' }}>
+        {armedOption ? armedOption.hint : 'Pick an ability, or just tap a cell to fire'}
+      </p>
+    </div>
+  );
+}
+
+// --- Salvo ---
+// Shows the queued volley and fires it once every shot is picked.
+function SalvoBar({ queued, size, onFire, onClear, disabled }) {
+  const ready = !disabled && size > 0 && queued.length === size;
+  return (
+    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'center', marginBottom: '16px', flexWrap: 'wrap' }}>
+      <span style={{ fontSize: '13px', fontWeight: 700, color: '#374151' }}>
+        🎯 Salvo: {queued.length}/{size} {disabled ? '' : queued.length < size ? '· pick your targets' : '· ready'}
+      </span>
+      <button
+        onClick={onFire}
+        disabled={!ready}
+        style={{ padding: '6px 14px', borderRadius: '8px', background: ready ? '#ef4444' : '#e5e7eb', color: ready ? 'white' : '#9ca3af', border: 'none', cursor: ready ? 'pointer' : 'default', fontSize: '13px', fontWeight: 700, fontFamily: 'inherit' }}
+      >
+        🔥 Fire
+      </button>
+      {queued.length > 0 && (
+        <button onClick={onClear} style={{ padding: '6px 10px', borderRadius: '8px', background: 'white', color: '#6b7280', border: '1px solid #e5e7eb', cursor: 'pointer', fontSize: '13px', fontWeight: 600, fontFamily: 'inherit' }}>
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+// --- Movable bottles ---
+function MoveControl({ turnsLeft, armed, onArm, disabled }) {
+  const picking = armed?.ability === 'move';
+  const ready = !disabled && turnsLeft === 0;
+  return (
+    <div style={{ marginBottom: '16px', textAlign: 'center' }}>
+      <button
+        onClick={() => onArm(picking ? null : { ability: 'move' })}
+        disabled={!ready}
+        style={{ padding: '6px 12px', borderRadius: '8px', border: `2px solid ${picking ? '#4f46e5' : '#e5e7eb'}`, background: picking ? '#eef2ff' : 'white', color: '#374151', cursor: ready ? 'pointer' : 'default', opacity: ready ? 1 : 0.5, fontSize: '13px', fontWeight: 700, fontFamily: 'inherit' }}
+      >
+        🔀 {turnsLeft === 0 ? 'Move a bottle' : `Move in ${turnsLeft} turn${turnsLeft === 1 ? '' : 's'}`}
+      </button>
+      {picking && (
+        <p style={{ margin: '6px 0 0 0', fontSize: '12px', fontWeight: 600, color: '#4f46e5' }}>
+          {armed.from ? `Tap an empty cell next to ${armed.from}` : 'Tap one of your bottles that has not been hit'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Free-for-all: a small read-only copy of every rival board, tapped to aim at
+// it. Players who are out stay listed so their boards can still be looked at.
+function TargetPicker({ match, names, selected, icon, onPick }) {
+  const cells = cellsFor(match.variant);
+  const last = lastShot(match);
+  return (
+    <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+      {match.seats.filter((seat) => seat !== 'player').map((seat) => {
+        const out = isOut(match, seat);
+        const active = seat === selected;
+        return (
+          <button
+            key={seat}
+            onClick={() => onPick(seat)}
+            style={{ width: '120px', padding: '6px', borderRadius: '8px', border: `2px solid ${active ? '#0ea5e9' : '#e5e7eb'}`, background: active ? '#f0f9ff' : 'white', color: '#374151', cursor: 'pointer', opacity: out ? 0.6 : 1, fontSize: '12px', fontWeight: 700, fontFamily: 'inherit' }}
+          >
+            <div style={{ marginBottom: '4px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              {out ? '💀' : match.turn === seat ? '▶' : '🎯'} {names[seat]} · 💥 {hitsOn(match, seat)}
+            </div>
+            <BoardTiles
+              board={match.boards[seat]}
+              cells={cells}
+              size={match.variant.size}
+              icon={icon}
+              sunk={sunkOn(match, seat).flat()}
+              lastCell={last && last.target === seat ? last.cell : null}
+              color="#0ea5e9"
+              small
+            />
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Whether `seat` moved a piece during its latest turn, so the other side can
+// be told that something moved (never what)
+function movedLastTurn(match, seat) {
+  const entries = [...match.history].reverse();
+  const start = entries.findIndex((s) => s.shooter === seat);
+  if (start === -1) return false;
+  const end = entries.findIndex((s, i) => i > start && s.shooter !== seat);
+  return entries.slice(start, end === -1 ? undefined : end).some((s) => s.result === 'moved');
+}
+
+// --- Invite QR Code ---
+function InviteQRCode({ url }) {
+  const [src, setSrc] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(url, { margin: 1, width: 200, color: { dark: '#1e1b4b' } })
+      .then((data) => { if (!cancelled) setSrc(data); })
+      .catch((e) => console.warn("QR code failed:", e));
+    return () => { cancelled = true; };
+  }, [url]);
+  if (!src) return null;
+  return (
+    <img
+      src={src}
+      alt="Scan to join this room"
+      width={200}
+      height={200}
+      style={{ display: 'block', margin: '0 auto 10px', borderRadius: '8px', background: 'white' }}
+    />
+  );
+}
+
+// --- Stats Screen ---
+function StatsScreen({ profile, onReset, onBack }) {
+  const rows = [
+    ...STAT_CATEGORIES.map((c) => ({ id: c.id, label: c.label, ...summarize(profile.stats[c.id]) })),
+    { id: 'total', label: 'All games', ...summarize(totals(profile)) },
+  ];
+  const cell = { padding: '6px 4px', textAlign: 'center', borderBottom: '1px solid #f3f4f6' };
+  const streakText = (n) => (n > 0 ? `🔥 ${n}W` : n < 0 ? `${-n}L` : '–');
+
+  return (
+    <div style={{ background: 'rgba(255,255,255,0.95)', padding: '20px', borderRadius: '16px' }}>
+      <h3 style={{ margin: '0 0 4px 0', fontSize: '20px', fontWeight: 700, textAlign: 'center' }}>📊 Your Stats</h3>
+      <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: '#6b7280', textAlign: 'center' }}>
+        {profile.name ? `Playing as ${profile.name}` : 'Saved on this device only'}
+      </p>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ color: '#6b7280' }}>
+              <th style={{ ...cell, textAlign: 'left' }}>Mode</th>
+              <th style={cell}>Played</th>
+              <th style={cell}>W–L</th>
+              <th style={cell}>Win %</th>
+              <th style={cell}>Accuracy</th>
+              <th style={cell}>Shots to win</th>
+              <th style={cell}>Streak</th>
+              <th style={cell}>Best</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} style={{ fontWeight: r.id === 'total' ? 700 : 500 }}>
+                <td style={{ ...cell, textAlign: 'left', whiteSpace: 'nowrap' }}>{r.label}</td>
+                <td style={cell}>{r.played}</td>
+                <td style={cell}>{r.record}</td>
+                <td style={cell}>{r.winRate === null ? '–' : `${r.winRate}%`}</td>
+                <td style={cell}>{r.accuracy === null ? '–' : `${r.accuracy}%`}</td>
+                <td style={cell}>{r.avgShotsToWin ?? '–'}</td>
+                <td style={cell}>{r.id === 'total' ? '' : streakText(r.streak)}</td>
+                <td style={cell}>{r.bestStreak || '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+        <button
+          onClick={onBack}
+          style={{ flex: 1, padding: '12px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+        >
+          Back
+        </button>
+        <button
+          onClick={onReset}
+          style={{ padding: '12px 16px', borderRadius: '8px', background: '#fef2f2', color: '#b91c1c', border: '1px solid #fee2e2', cursor: 'pointer', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// --- Match Files ---
+function downloadMatch(match, names) {
+  const blob = new Blob([JSON.stringify(exportMatch(match, names), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  const who = match.seats.map((seat) => names[seat] || seat).join('-vs-');
+  link.download = `bottleship-${new Date().toISOString().slice(0, 10)}-${who}.json`.replace(/\s+/g, '_');
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// A read-only board: the replay and spectator views, and (`small`) the
+// free-for-all target picker
+function BoardTiles({ board, cells, size, icon, sunk, lastCell, color, small = false }) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${size}, 1fr)`, gap: small ? '2px' : '4px' }}>
+      {cells.map((c) => {
+        const state = board.shots[c];
+        const isSunk = sunk.includes(c);
+        const isStale = !state && board.stale?.includes(c);
+        return (
+          <div
+            key={c}
+            style={{
+              aspectRatio: '1',
+              borderRadius: small ? '3px' : '6px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: small ? '7px' : state || board.bottles.includes(c) ? '16px' : '10px',
+              fontWeight: 700,
+              background: isSunk ? '#991b1b' : state === 'hit' ? '#ef4444' : state === 'miss' ? '#e5e7eb' : '#ffffff',
+              color: state === 'miss' ? '#6b7280' : '#1f2937',
+              boxShadow: c === lastCell ? `0 0 0 ${small ? 2 : 3}px ${color}` : '0 1px 2px rgba(0,0,0,0.1)',
+              opacity: isStale ? 0.4 : 1,
+            }}
+          >
+            {isSunk ? '☠️' : state === 'hit' ? '💥' : state === 'miss' || isStale ? '⭕' : board.bottles.includes(c) ? icon : small ? '' : c}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// --- Replay Viewer ---
+// Steps through a finished match shot by shot on every board.
+function ReplayBoard({ title, color, board, cells, size, icon, sunk, lastCell }) {
+  return (
+    <div>
+      <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', fontWeight: 700, textAlign: 'center', color }}>{title}</h4>
+      <BoardTiles board={board} cells={cells} size={size} icon={icon} sunk={sunk} lastCell={lastCell} color={color} />
+    </div>
+  );
+}
+
+// How a history entry reads in the replay: strikes are marked, sonar shows its count
+const entryText = (shot) =>
+  shot.result === 'moved' ? `🔀 moved a bottle${shot.from ? ` ${shot.from} → ${shot.cell}` : ''}` : `${shot.ability === 'strike' ? '💣 ' : ''}${shot.cell} ${{ hit: '💥 hit', miss: '⭕ miss', blocked: '🛡️ blocked', sonar: `📡 ${shot.count} found` }[shot.result]}`;
+
+function ReplayViewer({ match, names, icon, onClose }) {
+  const notation = exportMatch(match, names).notation;
+  const { history } = match;
+  const [step, setStep] = useState(history.length);
+  const frame = replayTo(match, step);
+  const current = history[step - 1] || null;
+  const cells = cellsFor(match.variant);
+  const startedAt = history[0]?.at;
+  const elapsed = (shot) => (startedAt && shot.at ? `+${Math.round((shot.at - startedAt) / 1000)}s` : '');
+  const go = (n) => setStep(Math.min(history.length, Math.max(0, n)));
+  const controlStyle = { padding: '8px 12px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontWeight: 700, fontFamily: 'inherit' };
+  // In free-for-all a shot also says whose board it went at
+  const aimedAt = (shot) => (match.seats.length > 2 && shot.result !== 'moved' ? `${names[shot.target] || shot.target}: ` : '');
+
+  return (
+    <div style={{ background: 'rgba(255,255,255,0.95)', padding: '16px', borderRadius: '16px' }}>
+      <h3 style={{ margin: '0 0 4px 0', fontSize: '18px', fontWeight: 700, textAlign: 'center' }}>🎬 Replay</h3>
+      <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6b7280', textAlign: 'center', minHeight: '18px' }}>
+        {current
+          ? `Shot ${step}/${history.length}: ${names[current.shooter]} → ${aimedAt(current)}${entryText(current)}${current.sunk ? ' ☠️ sunk' : ''}`
+          : `Start · ${history.length} shots`}
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
+        {match.seats.map((seat, i) => (
+          <ReplayBoard
+            key={seat}
+            title={`${names[seat] || seat}'s board`}
+            color={SEAT_COLORS[i]}
+            board={frame.boards[seat]}
+            cells={cells}
+            size={match.variant.size}
+            icon={icon}
+            sunk={sunkOn(frame, seat).flat()}
+            lastCell={current && current.target === seat ? current.cell : null}
+          />
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '12px' }}>
+        <button onClick={() => go(0)} style={controlStyle}>⏮</button>
+        <button onClick={() => go(step - 1)} style={controlStyle}>◀</button>
+        <input
+          type="range"
+          min={0}
+          max={history.length}
+          value={step}
+          onChange={(e) => go(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <button onClick={() => go(step + 1)} style={controlStyle}>▶</button>
+        <button onClick={() => go(history.length)} style={controlStyle}>⏭</button>
+      </div>
+
+      <ol style={{ margin: '0 0 12px 0', padding: '0 0 0 24px', maxHeight: '160px', overflowY: 'auto', fontSize: '13px' }}>
+        {history.map((shot, i) => (
+          <li
+            key={i}
+            onClick={() => go(i + 1)}
+            style={{ cursor: 'pointer', padding: '2px 0', fontWeight: i + 1 === step ? 700 : 400, color: i + 1 === step ? '#4f46e5' : '#374151' }}
+          >
+            {names[shot.shooter]} → {aimedAt(shot)}{entryText(shot)}{shot.sunk ? ' ☠️' : ''} <span style={{ color: '#9ca3af' }}>{elapsed(shot)}</span>
+          </li>
+        ))}
+      </ol>
+
+      {notation && (
+        <p style={{ margin: '0 0 12px 0', fontSize: '12px', fontFamily: 'monospace', color: '#6b7280', wordBreak: 'break-word' }}>{notation}</p>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={onClose}
+          style={{ flex: 1, padding: '12px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+        >
+          Back
+        </button>
+        <button
+          onClick={() => downloadMatch(match, names)}
+          style={{ padding: '12px 16px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+        >
+          💾 Export
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// --- Chat Panel ---
+// Collapsible text chat. `onSend` resolves with an error to show, or null.
+function ChatPanel({ title = '💬 Chat', messages, myUid, muted, onMute, enabled, canDisable, onToggleEnabled, onSend }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+  const [readUpTo, setReadUpTo] = useState(0);
+  const listRef = useRef(null);
+  const shown = visibleMessages(messages, muted);
+  const lastAt = shown.length ? shown[shown.length - 1].at : 0;
+  const unread = shown.filter((m) => m.at > readUpTo && m.uid !== myUid).length;
+  // Latest name for each muted player, so they can be unmuted
+  const mutedNames = muted.map((uid) => ({ uid, name: messages.findLast((m) => m.uid === uid)?.name || 'Player' }));
+
+  useEffect(() => {
+    if (open && listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [open, lastAt]);
+
+  function toggle() {
+    setReadUpTo(lastAt);
+    setOpen(!open);
+  }
+
+  async function send() {
+    const problem = await onSend(draft);
+    setError(problem);
+    if (!problem) setDraft('');
+  }
+
+  return (
+    <div style={{ marginTop: '12px', background: '#f9fafb', borderRadius: '12px', border: '1px solid #e5e7eb' }}>
+      <button
+        onClick={toggle}
+        style={{ width: '100%', padding: '10px 12px', background: 'none', border: 'none', cursor: 'pointer', fontSize: '14px', fontWeight: 700, textAlign: 'left', fontFamily: 'inherit', color: '#374151' }}
+      >
+        {title} {!enabled && '(off)'}
+        {!open && unread > 0 && (
+          <span style={{ marginLeft: '8px', background: '#ef4444', color: 'white', borderRadius: '999px', padding: '1px 8px', fontSize: '12px' }}>{unread}</span>
+        )}
+        <span style={{ float: 'right' }}>{open ? '▾' : '▸'}</span>
+      </button>
+      {open && (
+        <div style={{ padding: '0 12px 12px' }}>
+          <div ref={listRef} style={{ maxHeight: '180px', overflowY: 'auto', marginBottom: '8px', fontSize: '14px' }}>
+            {shown.length === 0 && <p style={{ margin: 0, color: '#9ca3af', fontSize: '13px' }}>No messages yet</p>}
+            {shown.map((m, i) => (
+              <div key={`${m.uid}-${m.at}-${i}`} style={{ padding: '3px 0', wordBreak: 'break-word' }}>
+                <strong style={{ color: m.uid === myUid ? '#4f46e5' : m.from === 'spectator' ? '#6b7280' : '#0f766e' }}>
+                  {m.from === 'spectator' ? '👀 ' : ''}{m.name}:
+                </strong>{' '}
+                {m.text}
+                {m.uid !== myUid && (
+                  <button
+                    onClick={() => onMute(m.uid)}
+                    title={`Mute ${m.name}`}
+                    style={{ marginLeft: '6px', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', opacity: 0.6 }}
+                  >
+                    🔇
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          {mutedNames.length > 0 && (
+            <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#6b7280' }}>
+              Muted:{' '}
+              {mutedNames.map(({ uid, name }) => (
+                <button
+                  key={uid}
+                  onClick={() => onMute(uid)}
+                  title={`Unmute ${name}`}
+                  style={{ marginRight: '4px', padding: '2px 8px', borderRadius: '999px', border: '1px solid #e5e7eb', background: 'white', cursor: 'pointer', fontSize: '12px', fontFamily: 'inherit' }}
+                >
+                  {name} ✕
+                </button>
+              ))}
+            </p>
+          )}
+          {enabled ? (
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter') send();
+                }}
+                maxLength={MAX_MESSAGE_LENGTH}
+                placeholder="Say something nice"
+                style={{ flex: 1, padding: '8px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '14px', fontFamily: 'inherit', minWidth: 0 }}
+              />
+              <button
+                onClick={send}
+                style={{ padding: '8px 14px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+              >
+                Send
+              </button>
+            </div>
+          ) : (
+            <p style={{ margin: 0, fontSize: '13px', color: '#6b7280' }}>The host has turned chat off for this room.</p>
+          )}
+          {error && <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#b91c1c' }}>{error}</p>}
+          {canDisable && (
+            <button
+              onClick={onToggleEnabled}
+              style={{ marginTop: '8px', padding: '6px 10px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: 600, fontFamily: 'inherit' }}
+            >
+              {enabled ? '🚫 Turn chat off for this room' : '✅ Turn chat on'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Spectator View ---
+// Every player's shot grid, straight from the room document. Layouts only live in the
+// players' private documents, so bottles appear once they are revealed at the end.
+function SpectatorView({ room, code, emotes, activeEmote, onEmote, onLeave, children }) {
+  const leaveButton = (
+    <button
+      onClick={onLeave}
+      style={{ padding: '12px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', width: '100%', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+    >
+      Stop Watching
+    </button>
+  );
+  if (!room) {
+    return (
+      <div style={{ background: 'rgba(255,255,255,0.95)', padding: '20px', borderRadius: '16px', maxWidth: '500px', margin: '0 auto', textAlign: 'center' }}>
+        <p style={{ color: '#6b7280', fontSize: '14px' }}>⏳ Connecting to room {code}...</p>
+        {leaveButton}
+      </div>
+    );
+  }
+
+  const players = sidesOf(room);
+  const match = roomToMatch(room, 'host', room.hostReveal);
+  const roleOfSeat = (seat) => roleAt(seat, 'host', players);
+  const cells = cellsFor(match.variant);
+  const last = match.history[match.history.length - 1] || null;
+  const icon = match.rules.crates ? '📦' : '🧴';
+  const shot = room.pendingShot;
+
+  let status;
+  if (room.status === 'abandoned') status = '🚪 This room has been closed';
+  else if (room.winner) status = `🏆 ${sideName(room, room.winner)} win${isTeamRoom(room) ? '' : 's'}!${room.forfeit ? ' (forfeit)' : room.timeout ? ' (on time)' : ''}`;
+  else if (room.status === 'waiting') status = `⏳ Waiting for players (${seatsTaken(room)}/${playersOf(room).length})`;
+  else if (room.status === 'setup') status = '🧴 Players are placing their bottles';
+  else if (shot) status = `🎯 ${nameOf(room, shooterFor(room, shot.by))} fires at ${players.length > 2 ? `${nameOf(room, shot.target)}'s ` : ''}${shot.cell}...`;
+  else status = `🎯 ${nameOf(room, shooterFor(room, room.turn))}'s turn`;
+
+  return (
+    <div style={{ background: 'rgba(255,255,255,0.95)', padding: '16px', borderRadius: '16px' }}>
+      <h3 style={{ margin: '0 0 4px 0', fontSize: '18px', fontWeight: 700, textAlign: 'center' }}>
+        👀 {players.map((r) => sideName(room, r)).join(' vs ')}
+      </h3>
+      <p style={{ margin: '0 0 4px 0', fontSize: '14px', fontWeight: 600, color: '#3730a3', textAlign: 'center' }}>{status}</p>
+      <p style={{ margin: '0 0 12px 0', fontSize: '12px', color: '#6b7280', textAlign: 'center' }}>
+        Room {code} · {watchingCount(room)} watching
+        {room.series?.bestOf > 1 && ` · Game ${room.series.games}, best of ${room.series.bestOf} · ${seriesLine(room, 'host')}`}
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
+        {match.seats.map((seat, i) => (
+          <ReplayBoard
+            key={seat}
+            title={`${isOut(match, seat) && !match.winner ? '💀 ' : ''}${sideName(room, roleOfSeat(seat))}'s board`}
+            color={SEAT_COLORS[i]}
+            board={match.boards[seat]}
+            cells={cells}
+            size={match.variant.size}
+            icon={icon}
+            sunk={match.boards[seat].sunk}
+            lastCell={last && last.target === seat ? last.cell : null}
+          />
+        ))}
+      </div>
+
+      <div style={{ minHeight: '36px', marginBottom: '8px', textAlign: 'center' }}>
+        {activeEmote && (
+          <span style={{
+            display: 'inline-block', padding: '8px 14px', borderRadius: '16px', fontSize: '14px', fontWeight: 600,
+            background: activeEmote.isMine ? '#4f46e5' : '#ffffff', color: activeEmote.isMine ? '#ffffff' : '#1f2937',
+            border: activeEmote.isMine ? 'none' : '2px solid #e5e7eb'
+          }}>
+            {activeEmote.text}
+          </span>
+        )}
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px', marginBottom: '12px' }}>
+        {emotes.map((msg) => (
+          <button
+            key={msg}
+            onClick={() => onEmote(msg)}
+            style={{ padding: '8px', borderRadius: '8px', border: '1px solid #e5e7eb', background: '#ffffff', cursor: 'pointer', fontSize: '13px', fontWeight: 600, color: '#374151', fontFamily: 'inherit' }}
+          >
+            {msg}
+          </button>
+        ))}
+      </div>
+      {leaveButton}
+      {children}
+    </div>
+  );
+}
+
+// Helper for low-latency overlapping audio
+const playSound = (audioObj) => {
+  if (!audioObj) return;
+  // cloneNode(true) creates a fresh instance allowing rapid-fire playback
+  const sound = audioObj.cloneNode(true);
+  sound.volume = 0.6; // Adjust volume if needed
+  sound.play().catch((e) => console.log("Audio play failed:", e));
+};
+
 // --- Main App Component ---
 export default function BottleshipApp() {
   const [user, setUser] = useState(null);
@@ -377,11 +1385,54 @@ export default function BottleshipApp() {
 
   const [playerBottles, setPlayerBottles] = useState([]);
   const [opponentBottles, setOpponentBottles] = useState([]);
-  const [playerGrid, setPlayerGrid] = useState(() => ALL_CELLS.map(() => null));
-  const [opponentGrid, setOpponentGrid] = useState(() => ALL_CELLS.map(() => null));
+  const [variant, setVariant] = useState(DEFAULT_VARIANT);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const cells = cellsFor(variant);
+  const cellMinHeight = `${Math.round(240 / variant.size)}px`;
+  const fleet = fleetFor(variant, rules);
+  const pieceIcon = rules.crates ? '📦' : '🧴';
+  const fleetLabel = rules.crates ? `${fleet.length} crates` : `${variant.bottles} bottles`;
+  const piecesPlaced = (layout) => piecesOf(layout, variant, rules).length;
+
+  // Crates setup: which way the next piece is laid and why the last tap failed
+  const [orientation, setOrientation] = useState('h');
+  const [placementHint, setPlacementHint] = useState(null);
+
+  // Every mode drives the same engine state. Pass & Play maps Player 1 to
+  // "player" and Player 2 to "opponent"; the ref gives the AI's delayed
+  // callbacks the latest match instead of a stale closure.
+  const [match, setMatch] = useState(() => createMatch({ variant, rules }));
+  const matchRef = useRef(match);
+  const commitMatch = (next) => {
+    matchRef.current = next;
+    setMatch(next);
+  };
+  const currentTurn = match.turn;
+  const activePlayer = match.turn === "player" ? 1 : 2;
+  // Free-for-all: the rival board we picked to aim at, or until we pick one
+  // the first rival still in the game. It stays on a player we knock out, so
+  // the last shot stays in view until we pick another.
+  const [aimAt, setAimAt] = useState(null);
+  const rivals = match.seats.filter((s) => s !== "player");
+  // Boards as seen by whoever is looking at the guess screen right now
+  const targetSeat = activePlayer === 2 && mode === 'pass' ? "player"
+    : rivals.length === 1 ? "opponent"
+    : (rivals.includes(aimAt) && aimAt) || rivals.find((s) => !isOut(match, s)) || rivals[0];
+  const sunkTarget = sunkOn(match, targetSeat).flat();
+  const viewerSeat = targetSeat === "player" ? "opponent" : "player";
+  const sunkOwn = sunkOn(match, viewerSeat).flat();
+  // The board shots go at, named only when there is more than one to choose
+  const aim = match.seats.length > 2 ? targetSeat : null;
+  const targetGrid = gridFor(match, targetSeat);
+  const ownGrid = gridFor(match, viewerSeat);
+  // Arsenal: the ability the next tap uses ({ ability, orientation? }) and
+  // the areas our sonar has already scanned
+  const [armed, setArmed] = useState(null);
+  // Salvo: cells picked for this turn's volley, fired together on confirm
+  const [salvoQueue, setSalvoQueue] = useState([]);
+  const scanned = match.history.filter((s) => s.shooter === viewerSeat && s.target === targetSeat && s.result === "sonar")
+    .flatMap((s) => sonarArea(s.cell, variant));
 
-  const [currentTurn, setCurrentTurn] = useState("player");
-  const [activePlayer, setActivePlayer] = useState(1);
   const [message, setMessage] = useState("");
   const [winner, setWinner] = useState(null);
   const [showConfetti, setShowConfetti] = useState(false);
@@ -394,18 +1445,49 @@ export default function BottleshipApp() {
   // Online specific state
   const [roomCode, setRoomCode] = useState("");
   const [joinRoomInput, setJoinRoomInput] = useState("");
-  const [isHost, setIsHost] = useState(false);
+  const [myRole, setMyRole] = useState(null); // our seat in the room: "host", "guest", ... (see room_players.js)
+  const isHost = myRole === 'host';
   const [onlineGameData, setOnlineGameData] = useState(null);
+  // Two tabs of one browser share a uid, so the role we joined as picks ours
+  const seatRole = (onlineGameData && user && roleOf(onlineGameData, user.uid, myRole)) || myRole;
+  // The role the game knows us by: our seat, or in 2 vs 2 our team's side
+  const me = onlineGameData ? sideOf(onlineGameData, seatRole) : seatRole;
+  // 2 vs 2: who shoots for the side on turn. Unless that's us, taps on the
+  // target board drop a ping for our teammate instead of firing.
+  const shooterNow = mode === 'online' && isTeamRoom(onlineGameData) ? shooterFor(onlineGameData, onlineGameData.turn) : null;
+  const waitingOnTeammate = Boolean(shooterNow) && currentTurn === 'player' && shooterNow !== seatRole;
+  const pinging = Boolean(shooterNow) && !winner && (currentTurn !== 'player' || waitingOnTeammate);
+  const [inviteCode, setInviteCode] = useState(null); // room from an invite link, joined after the name prompt
+  const [queueState, setQueueState] = useState(null); // 'searching' | 'timeout'
+  const queueRef = useRef(null); // { key, ticket, stop } while we wait in the queue
 
   // NEW: Track if opponent left and if we are the one leaving
   const [showOpponentLeft, setShowOpponentLeft] = useState(false);
   const isLeavingRef = useRef(false);
+  // Each other player's last heartbeat value and our local time when it last changed
+  const seenRef = useRef({}); // { [role]: { value, at } }
+  const [away, setAway] = useState(null); // { role, secs } left before a silent player forfeits
+
+  // Commit/reveal: our private layout + salt, and bookkeeping so each shot
+  // is resolved (and each reveal verified) exactly once per client.
+  const secretRef = useRef(null);
+  const restoringSecretRef = useRef(false);
+  const resolvedShotIdRef = useRef(null);
+  const lastResultIdRef = useRef(null);
+  const finishedGameRef = useRef(null); // the online room whose game we already celebrated, until its next game
+  const revealCheckedRef = useRef({}); // { [role]: true } once we started checking their reveal
+  const [revealCheck, setRevealCheck] = useState({}); // { [role]: 'verified' | 'mismatch' }
 
   // --- CHAT / EMOTE STATE ---
   const [showEmoteMenu, setShowEmoteMenu] = useState(false);
   const [activeEmote, setActiveEmote] = useState(null); // { text: "...", isMine: true/false }
   const lastEmoteIdRef = useRef(0); // To track which message we already saw
-  const lastSentTimeRef = useRef(0);
+  const sentAtRef = useRef([]); // when we sent recent emotes and messages, for the rate limit
+  const [chatMessages, setChatMessages] = useState([]);
+  const [mutedUids, setMutedUids] = useState([]);
+  // 2 vs 2: our team channel (chat, team emotes and pings, see chat.js)
+  const [teamMessages, setTeamMessages] = useState([]);
+  const [emoteToTeam, setEmoteToTeam] = useState(false);
 
   const EMOTES = [
     "🚀 Play Fast!",
@@ -450,9 +1532,63 @@ export default function BottleshipApp() {
     return { hit: h, miss: m, win: w, chat: c };
   }, []);
 
+  const [aiLevel, setAiLevel] = useState(DEFAULT_AI_LEVEL);
+  const [aiStyle, setAiStyle] = useState(SURPRISE_STYLE);
+  const [aiStyleUsed, setAiStyleUsed] = useState(null);
+  // Where this human tends to open fire, remembered for the browser session
+  const aiMemoryRef = useRef(null);
+  if (!aiMemoryRef.current) {
+    aiMemoryRef.current = JSON.parse(sessionStorage.getItem('bottleship_ai_memory') || '{}');
+  }
   const aiRef = useRef(null);
-  const aiHelper = useRefinedAI();
-  if (!aiRef.current) aiRef.current = aiHelper;
+  if (!aiRef.current) aiRef.current = createAI();
+
+  // --- Seed ---
+  // Every random choice in a game (auto-place, AI layout and shots, room code)
+  // derives from this seed, so a reported game can be replayed exactly.
+  const [seed, setSeed] = useState(() => newSeed());
+  const [seedInput, setSeedInput] = useState("");
+  const [useDailySeed, setUseDailySeed] = useState(false);
+  const randRef = useRef(null);
+  if (!randRef.current) randRef.current = createRng(seed);
+
+  // --- Clock ---
+  // Local modes keep the clock in state; online it lives in the room document
+  // with seats named by role, and every client reads the same deadline.
+  const [clockId, setClockId] = useState(DEFAULT_CLOCK);
+  const [bestOf, setBestOf] = useState(DEFAULT_BEST_OF); // online series length, chosen when creating a room
+  const [playerCount, setPlayerCount] = useState(DEFAULT_PLAYER_OPTION); // online room format, see PLAYER_COUNT_OPTIONS
+  const [localClock, setLocalClock] = useState(null);
+  const [clockNow, setClockNow] = useState(() => Date.now());
+  const onClockTickRef = useRef(null);
+  const handledFlagRef = useRef(null); // startedAt of the clock we already timed out
+  const activeClock = mode === 'online' ? onlineGameData?.clock || null : localClock;
+  const clockSeat = (seat) => (mode === 'online' ? roleAt(seat, me, sidesOf(onlineGameData)) : seat);
+  const startLocalClock = () => setLocalClock(
+    clockOption(clockId).kind === 'off' ? null : switchClock(createClock(clockId, ['player', 'opponent']), 'player', Date.now())
+  );
+
+  // --- Profile ---
+  const [profile, setProfile] = useState(() => loadProfile());
+  const updateProfile = (change) => setProfile((p) => saveProfile(change(p)));
+
+  const [importedMatch, setImportedMatch] = useState(null); // { match, names } from a match file
+  const seatNames = mode === 'pass'
+    ? { player: player1Name, opponent: player2Name }
+    : mode === 'online' && onlineGameData
+      ? Object.fromEntries(match.seats.map((seat) => [
+        seat, seat === 'player' && !isTeamRoom(onlineGameData)
+          ? playerName
+          : sideName(onlineGameData, roleAt(seat, me, sidesOf(onlineGameData))),
+      ]))
+      : { player: playerName, opponent: mode === 'ai' ? 'AI' : opponentName };
+
+  function startSeed(next = newSeed()) {
+    setSeed(next);
+    randRef.current = createRng(next);
+    return next;
+  }
+  const isSharedSeed = seed === dailySeed() || seed === seedInput.trim();
 
   // --- Auth & Setup ---
   useEffect(() => {
@@ -463,7 +1599,8 @@ export default function BottleshipApp() {
         await signInAnonymously(auth);
       }
     };
-    initAuth();
+    if (useLocalRooms) setUser(localUser());
+    else initAuth();
 
     // TRACKING: Log that the app was opened
     logGameEvent(analytics, 'page_view', { page_title: 'Bottleship Menu' });
@@ -471,57 +1608,61 @@ export default function BottleshipApp() {
     // NEW: Check for existing session
     const savedSession = sessionStorage.getItem('bottleship_session');
     if (savedSession) {
-      const { code, isHost: savedIsHost, name } = JSON.parse(savedSession);
+      const { code, role, isHost: savedIsHost, name, spectator } = JSON.parse(savedSession);
       setRoomCode(code);
-      setIsHost(savedIsHost);
+      // Sessions saved before free-for-all only knew whether we were the host
+      setMyRole(role || (savedIsHost ? 'host' : 'guest'));
       setPlayerName(name);
-      setMode('online');
+      setMode(spectator ? 'watch' : 'online');
+      if (spectator) setScreen('spectate');
       // The snapshot listener will kick in automatically because roomCode is set
+    } else {
+      // Invite link (?room=ABC123): ask for a name, then join that room
+      const params = new URLSearchParams(window.location.search);
+      const invited = params.get('room');
+      if (invited) {
+        params.delete('room');
+        const rest = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${rest ? `?${rest}` : ''}`);
+        setInviteCode(normalizeRoomCode(invited));
+        setPlayerName(loadProfile().name);
+        setMode('online');
+        setScreen('name-input-online');
+      }
     }
 
+    if (useLocalRooms) return;
     const unsubscribe = onAuthStateChanged(auth, setUser);
     return () => unsubscribe();
   }, []);
 
-  // --- AI WIN CHECK FIX ---
-  // This hook ensures that if the AI hits 4 bottles, the game ends immediately.
-  useEffect(() => {
-    if (mode === 'ai' && !winner) {
-      const hits = opponentGrid.filter(c => c === 'hit').length;
-      if (hits >= 4) {
-        finishGame('opponent');
-      }
-    }
-  }, [opponentGrid, mode, winner]);
-
   // --- Online Game Sync ---
   useEffect(() => {
     if (mode !== 'online' || !roomCode || !user) return;
 
-    const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-
-    const unsub = onSnapshot(gameRef, (snapshot) => {
-      if (!snapshot.exists()) {
-        if (!isHost) alert("Room destroyed or invalid");
+    const unsub = rooms.subscribe(roomCode, (data) => {
+      if (!data) {
+        if (myRole !== 'host') alert("Room destroyed or invalid");
         return;
       }
 
-      const data = snapshot.data();
       setOnlineGameData(data);
+      const roomVariant = variantById(data.variant);
+      const roomRules = rulesFrom(data.rules);
+      setVariant(roomVariant);
+      setRules(roomRules);
 
       // --- DETECT INCOMING EMOTES ---
       if (data.lastEmote && data.lastEmote.id !== lastEmoteIdRef.current) {
         lastEmoteIdRef.current = data.lastEmote.id;
 
-        const sender = data.lastEmote.from;
-        const amIHost = isHost; // Ensure this variable is accessible or use state
-        // logic: if sender is 'host' and I am 'host', it's me.
-        const isMe = (sender === 'host' && amIHost) || (sender === 'guest' && !amIHost);
+        // Two tabs of one browser share a uid, so compare roles, not uids
+        const isMe = data.lastEmote.from === (roleOf(data, user.uid, myRole) || myRole);
 
         if (!isMe) {
           playSound(sounds.chat);
           // Play a sound if you want: sounds.pop.play()
-          setActiveEmote({ text: data.lastEmote.content, isMine: false });
+          setActiveEmote({ text: emoteText(data.lastEmote), isMine: false });
           setTimeout(() => setActiveEmote(null), 3000);
         }
       }
@@ -536,80 +1677,144 @@ export default function BottleshipApp() {
       }
 
       // --- CRITICAL FIX FOR SELF-PLAY TESTING ---
-      // If both players are the same user (browser tabs), use local state 'isHost' to distinguish.
-      const isSelfPlay = data.host === data.guest;
-      const amIHost = isSelfPlay ? isHost : (data.host === user.uid);
+      // If several seats hold the same user (browser tabs), the role this tab
+      // joined as tells them apart. The game itself is between sides.
+      const seatRole = roleOf(data, user.uid, myRole) || myRole;
+      const me = sideOf(data, seatRole);
+      const players = sidesOf(data);
+      const others = players.filter((r) => r !== me);
+
+      playersOf(data).filter((r) => r !== seatRole).forEach((role) => {
+        const seen = data[`${role}SeenAt`] ?? null;
+        if (seen !== seenRef.current[role]?.value) {
+          seenRef.current[role] = { value: seen, at: seen === 0 ? Date.now() - STALE_MS : Date.now() };
+        }
+      });
 
-      const myBottles = amIHost ? data.hostBottles : data.guestBottles;
-      const oppBottles = amIHost ? data.guestBottles : data.hostBottles;
-      const myMoves = amIHost ? data.hostMoves : data.guestMoves;
-      const oppMoves = amIHost ? data.guestMoves : data.hostMoves;
+      // Our layout only lives in our private doc: drop it once the room is
+      // reset for a rematch, and reload it after a page refresh. In 2 vs 2 it
+      // is also how we pick up the layout, moves and shield of our teammate.
+      if (!data[`${me}Commit`]) secretRef.current = null;
+      const stale = !secretRef.current || secretBehind(data, me, secretRef.current);
+      if (data[`${me}Commit`] && stale && !restoringSecretRef.current) {
+        restoreSecret(secretRole(data, me)).then(() => resolvePendingShot(data, me));
+      }
+      const myBottles = layoutOf(secretRef.current, data);
 
       // Update local state derived from server state
-      if (screen !== 'setup' || (myBottles && myBottles.length > 0)) {
-        setPlayerBottles(myBottles || []);
+      if (screen !== 'setup' || myBottles.length > 0) {
+        setPlayerBottles(myBottles);
       }
 
-      setOpponentBottles(oppBottles || []);
-      setPlayerName(amIHost ? data.hostName : data.guestName);
-
+      // Rivals' layouts only become visible once they reveal them
+      setOpponentBottles(layoutOf(data[`${others[0]}Reveal`], data));
       // --- NEW NAME SYNC LOGIC ---
-      if (amIHost) {
-        setPlayerName(data.hostName || "Host");
-        setOpponentName(data.guestName || "Guest"); // Save opponent name
-      } else {
-        setPlayerName(data.guestName || "Guest");
-        setOpponentName(data.hostName || "Host"); // Save opponent name
-      }
+      setPlayerName(nameOf(data, seatRole));
+      setOpponentName(sideName(data, others[0]));
 
       // Handle Rematch/Reset Logic
       if (data.status === 'setup') {
+        // A new game in this room: its end is ours to celebrate again
+        finishedGameRef.current = null;
         // If we are currently on the Game Over screen (guess) or playing, reset us
-        if (screen === 'guess' || screen === 'playing') {
+        if (screen === 'guess' || screen === 'playing' || screen === 'replay') {
           setWinner(null);
           setPlayerBottles([]);
           setOpponentBottles([]);
-          setPlayerGrid(ALL_CELLS.map(() => null));
-          setOpponentGrid(ALL_CELLS.map(() => null));
+          setArmed(null);
+          setSalvoQueue([]);
+          setAimAt(null);
+          revealCheckedRef.current = {};
+          setRevealCheck({});
+          commitMatch(roomToMatch(data, me));
           setScreen('setup');
-          setMessage("Rematch! Place your bottles.");
+          const first = shooterFor(data, data.turn) === seatRole ? 'You shoot'
+            : others.length === 1 && !isTeamRoom(data) ? 'Your opponent shoots' : `${nameOf(data, shooterFor(data, data.turn))} shoots`;
+          setMessage(`Rematch! ${first} first. Place your bottles.`);
         } else if (screen !== 'setup') {
           setScreen('setup');
         }
+        const placedBy = data[`${me}PlacedBy`];
+        if (data[`${me}Commit`] && placedBy && placedBy !== seatRole) {
+          setMessage(`🤝 ${nameOf(data, placedBy)} placed your team's bottles. Waiting for the others...`);
+        }
       }
 
       if (data.status === 'playing' && screen !== 'guess') {
         setScreen('guess');
       }
 
-      // Auto-Start Game
-      if (data.status !== 'playing' && data.hostBottles && data.guestBottles && data.hostBottles.length === 4 && data.guestBottles.length === 4) {
-        if (amIHost) {
-          updateDoc(gameRef, { status: 'playing' });
+      // Auto-Start Game once every layout is committed
+      const allCommitted = (room) => sidesOf(room).every((r) => room[`${r}Commit`]);
+      if (data.status === 'setup' && allCommitted(data)) {
+        if (seatRole === 'host') {
+          rooms.transact(roomCode, (room) => (room.status === 'setup' && allCommitted(room) ? {
+            status: 'playing',
+            clock: clockOption(room.clockId).kind === 'off'
+              ? null
+              : switchClock(createClock(room.clockId, sidesOf(room)), room.turn || 'host', Date.now()),
+          } : null)).catch((err) => reportRoomError(err, 'Starting the game'));
         }
       }
 
-      // Construct Grids for UI
-      const newPlayerGrid = ALL_CELLS.map(cell => myMoves && myMoves[cell] ? myMoves[cell] : null);
-      setPlayerGrid(newPlayerGrid);
+      // Rebuild the engine state the grids and turn are derived from
+      commitMatch(roomToMatch(data, me, secretRef.current));
+
+      // A shot at our board is waiting for us to decide hit or miss
+      resolvePendingShot(data, me);
 
-      const newOppGrid = ALL_CELLS.map(cell => oppMoves && oppMoves[cell] ? oppMoves[cell] : null);
-      setOpponentGrid(newOppGrid);
+      // --- DETECT NEW SHOT RESULTS ---
+      const result = data.lastResult;
+      const isNewResult = result && result.id !== lastResultIdRef.current;
+      if (isNewResult) {
+        lastResultIdRef.current = result.id;
+        if (result.by === me && screen === 'guess') {
+          playSound(result.hits > 0 ? sounds.hit : sounds.miss);
+        }
+      }
 
+      const iAmOut = (data.out || []).includes(me);
       if (data.status === 'playing') {
-        setCurrentTurn(data.turn === (amIHost ? 'host' : 'guest') ? 'player' : 'opponent');
-        setMessage(data.turn === (amIHost ? 'host' : 'guest') ? "Your Turn" : "Opponent's Turn");
+        const theirTurn = others.length === 1 && !isTeamRoom(data) ? "Opponent's Turn" : `${nameOf(data, shooterFor(data, data.turn))}'s Turn`;
+        if (iAmOut) {
+          setMessage(`💀 You're out! ${theirTurn}`);
+        } else if (data.pendingShot?.by === me) {
+          setMessage("Waiting for result...");
+        } else if (data.turn === me && shooterFor(data, me) !== seatRole) {
+          setMessage(`🤝 ${nameOf(data, shooterFor(data, me))}'s shot · tap their board to suggest one`);
+        } else if (data.turn === me) {
+          const wentAgain = result?.by === me && result.result === 'hit';
+          setMessage(wentAgain ? `${result.sunk ? 'Hit & sunk!' : 'Hit!'} ${isTeamRoom(data) ? 'Your shot' : 'Go again'}` : "Your Turn");
+        } else {
+          const note = result?.by === me ? moveNote(result) : null;
+          const suggest = isTeamRoom(data) ? ' · tap their board to suggest a shot' : '';
+          setMessage(note ? `${note} · ${theirTurn}` : `${theirTurn}${suggest}`);
+        }
+      }
+
+      // --- REVEAL & VERIFY ---
+      // We reveal once the game is over for us: at the end, or when knocked out
+      if ((data.winner || iAmOut) && secretRef.current && !data[`${me}Reveal`]) {
+        const reveal = secretRef.current;
+        rooms.transact(roomCode, (room) => (
+          (room.winner || (room.out || []).includes(me)) && !room[`${me}Reveal`] ? { [`${me}Reveal`]: reveal } : null
+        )).catch((err) => reportRoomError(err, 'Revealing your board'));
       }
+      others.filter((role) => data[`${role}Reveal`] && !revealCheckedRef.current[role]).forEach((role) => {
+        revealCheckedRef.current[role] = true;
+        verifyReveal({
+          commit: data[`${role}Commit`],
+          reveal: data[`${role}Reveal`],
+          // Every shot at their board, and their moves to replay in between
+          entries: (data.log || []).filter((e) => (e.result === 'moved' ? e.shooter === role : e.target === role)),
+          variant: roomVariant,
+          rules: roomRules,
+        }).then((ok) => setRevealCheck((checks) => ({ ...checks, [role]: ok ? 'verified' : 'mismatch' })));
+      });
 
       if (data.winner) {
-        setWinner(data.winner === (amIHost ? 'host' : 'guest') ? 'player' : 'opponent');
-        if (!winner && data.winner) {
-          if (data.winner === (amIHost ? 'host' : 'guest')) {
-            finishGame('player');
-          } else {
-            finishGame('opponent');
-          }
-        }
+        // Every snapshot of a finished room lands here; finishGame runs once per game
+        finishGame(seatOf(data.winner, me, players), `online:${roomCode}`);
       }
 
     }, (error) => {
@@ -617,7 +1822,283 @@ export default function BottleshipApp() {
     });
 
     return () => unsub();
-  }, [mode, roomCode, user, screen, isHost]);
+  }, [mode, roomCode, user, screen, myRole]);
+
+  // --- Spectating ---
+  // Watchers only read the room; none of the player logic above runs for them.
+  useEffect(() => {
+    if (mode !== 'watch' || !roomCode || !user) return;
+
+    const unsub = rooms.subscribe(roomCode, (data) => {
+      setOnlineGameData(data);
+      if (!data) return;
+      const emote = data.lastEmote;
+      if (emote && emote.id !== lastEmoteIdRef.current) {
+        lastEmoteIdRef.current = emote.id;
+        if (emote.uid !== user.uid) {
+          setActiveEmote({ text: emoteText(emote), isMine: false });
+          setTimeout(() => setActiveEmote(null), 3000);
+        }
+      }
+    }, (error) => {
+      console.error("Spectator sync error:", error);
+    });
+
+    const beat = () => rooms.watch(roomCode, user.uid).catch(() => {});
+    const gone = () => { rooms.unwatch(roomCode, user.uid).catch(() => {}); };
+    const timer = setInterval(beat, HEARTBEAT_MS);
+    window.addEventListener('pagehide', gone);
+    return () => {
+      unsub();
+      clearInterval(timer);
+      window.removeEventListener('pagehide', gone);
+    };
+  }, [mode, roomCode, user]);
+
+  // --- Chat ---
+  useEffect(() => {
+    if ((mode !== 'online' && mode !== 'watch') || !roomCode || !user) return;
+    const unsub = rooms.subscribeMessages(roomCode, setChatMessages, (error) => {
+      console.error("Chat sync error:", error);
+    });
+    return () => {
+      unsub();
+      setChatMessages([]);
+    };
+  }, [mode, roomCode, user]);
+
+  // --- Team channel ---
+  // 2 vs 2 only. A teammate's emote pops up like any other, just for us,
+  // unless we muted them in chat.
+  const teamSide = mode === 'online' && isTeamRoom(onlineGameData) ? me : null;
+  useEffect(() => {
+    if (!teamSide || !roomCode || !user) return;
+    let shownUpTo = Date.now();
+    const unsub = rooms.subscribeMessages(roomCode, (messages) => {
+      setTeamMessages(messages);
+      const emote = messages.findLast((m) => m.emote);
+      if (emote && emote.at > shownUpTo && emote.from !== seatRole && !mutedUids.includes(emote.uid)) {
+        shownUpTo = emote.at;
+        playSound(sounds.chat);
+        setActiveEmote({ text: `🤝 ${emote.name}: ${emote.text}`, isMine: false });
+        setTimeout(() => setActiveEmote(null), 3000);
+      }
+    }, (error) => {
+      console.error("Team chat sync error:", error);
+    }, teamSide);
+    return () => {
+      unsub();
+      setTeamMessages([]);
+    };
+  }, [teamSide, roomCode, user, seatRole, mutedUids, sounds]);
+  const targetLocked = mode === 'online' && currentTurn !== 'player' && !pinging;
+  // Our team's latest ping, until someone fires at it
+  const ping = teamSide ? activePing(teamMessages, match.boards[targetSeat].shots) : null;
+
+  // --- Heartbeat ---
+  useEffect(() => {
+    if (mode !== 'online' || !roomCode || !user) return;
+    if (!myRole) return;
+    const field = `${myRole}SeenAt`;
+    // `updatedAt` too, so the cleanup sweep can find idle rooms by it alone
+    const beat = () => {
+      const now = Date.now();
+      rooms.update(roomCode, { [field]: now, updatedAt: now }).catch(() => {});
+    };
+    const gone = () => { rooms.update(roomCode, { [field]: 0 }).catch(() => {}); };
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_MS);
+    window.addEventListener('pagehide', gone);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('pagehide', gone);
+    };
+  }, [mode, roomCode, user, myRole]);
+
+  // --- Clock ticking ---
+  useEffect(() => {
+    if (mode === 'online') return;
+    const now = Date.now();
+    setLocalClock((c) => c && (match.winner ? stopClock(c, now) : switchClock(c, match.turn, now)));
+  }, [mode, match.history.length, match.turn, match.winner]);
+
+  const clockRunning = Boolean(activeClock?.running) && screen === 'guess' && !winner;
+  useEffect(() => {
+    if (!clockRunning) return;
+    const timer = setInterval(() => {
+      setClockNow(Date.now());
+      onClockTickRef.current?.();
+    }, 250);
+    return () => clearInterval(timer);
+  }, [clockRunning]);
+  // Re-pointed every render so the interval always sees current state
+  useEffect(() => {
+    onClockTickRef.current = handleClockTick;
+  });
+
+  // --- Disconnect watchdog ---
+  // Once everyone is in, a silent player gets a grace period and then
+  // forfeits (or, before the first shot, the room is closed). In free-for-all
+  // the others play on without them; in 2 vs 2 their whole team forfeits.
+  const roomStatus = onlineGameData?.status;
+  const allJoined = Boolean(onlineGameData) && everyoneJoined(onlineGameData);
+  const watchedKey = onlineGameData
+    ? playersLeft(onlineGameData).flatMap((side) => membersOf(onlineGameData, side)).filter((r) => r !== seatRole).join()
+    : '';
+  useEffect(() => {
+    setAway(null);
+    if (mode !== 'online' || !roomCode || !allJoined || !watchedKey || !['setup', 'playing'].includes(roomStatus)) return;
+    const watched = watchedKey.split(',');
+    watched.forEach((role) => { seenRef.current[role] = { value: null, ...seenRef.current[role], at: Date.now() }; });
+
+    const timer = setInterval(() => {
+      // Whoever has been silent the longest
+      const role = watched.reduce((a, b) => (seenRef.current[b].at < seenRef.current[a].at ? b : a));
+      const { value, at } = seenRef.current[role];
+      const silentFor = Date.now() - at;
+      if (silentFor < STALE_MS) {
+        setAway(null);
+        return;
+      }
+      const left = Math.ceil((STALE_MS + FORFEIT_GRACE_MS - silentFor) / 1000);
+      setAway({ role, secs: Math.max(0, left) });
+      if (left > 0) return;
+
+      clearInterval(timer);
+      const secret = secretRef.current;
+      rooms.transact(roomCode, (room) => {
+        // They came back (or the game ended) while we were deciding
+        if ((room[`${role}SeenAt`] ?? null) !== value || !['setup', 'playing'].includes(room.status)) return null;
+        if (room.status === 'setup') return { status: 'abandoned' };
+        const update = dropFromRoom(room, me, sideOf(room, role), secret);
+        return update && update.winner ? { ...update, forfeit: role } : update;
+      }).catch((err) => reportRoomError(err, 'Claiming the win'));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [mode, roomCode, allJoined, watchedKey, roomStatus, me]);
+
+  async function restoreSecret(role) {
+    restoringSecretRef.current = true;
+    try {
+      const saved = await rooms.loadPrivate(roomCode, role);
+      if (saved) {
+        const { bottles, salt, shield = null, moves = [] } = saved;
+        secretRef.current = { bottles, salt, shield, moves };
+        setPlayerBottles(bottles);
+      }
+    } catch (e) {
+      console.error("Could not restore layout:", e);
+    } finally {
+      restoringSecretRef.current = false;
+    }
+  }
+
+  // Defender side: only we know our layout, so only we decide hit or miss.
+  // In free-for-all that is whoever the shot is aimed at; in 2 vs 2 either
+  // defender may answer, once their copy of the layout is up to date.
+  function resolvePendingShot(data, me) {
+    const shot = data.pendingShot;
+    if (!shot || shot.by === me || data.status !== 'playing' || !secretRef.current) return;
+    if ((shot.target || sidesOf(data).find((r) => r !== shot.by)) !== me) return;
+    if (resolvedShotIdRef.current === shot.id || secretBehind(data, me, secretRef.current)) return;
+    resolvedShotIdRef.current = shot.id;
+
+    const secret = secretRef.current;
+    // Resolve against the room as it is now, not the snapshot that told us
+    rooms.transact(roomCode, (room) => {
+      if (room.pendingShot?.id !== shot.id) return null;
+      const local = roomToMatch(room, me, secret);
+      const shooter = seatOf(shot.by, me, sidesOf(room));
+      const next = matchReducer(local, moveAction(shooter, shot, shot.at ?? Date.now(), "player"));
+      const update = { pendingShot: null };
+      if (next !== local) {
+        Object.assign(update, matchToRoomUpdate(next, room, me), {
+          lastResult: { ...lastMove(next), by: shot.by, id: shot.id },
+        });
+        if (isTeamRoom(room)) update.shooters = passShot(room, shot.by);
+        if (room.clock) {
+          update.clock = update.winner ? stopClock(room.clock, Date.now()) : switchClock(room.clock, update.turn, Date.now());
+        }
+      }
+      return update;
+    }).catch((err) => reportRoomError(err, 'Resolving the shot'));
+  }
+
+  // --- Timeouts ---
+  // Per-shot clock: a random shot is fired for whoever ran out. Chess clock:
+  // running out loses. Online, only the player on move fires their own random
+  // shot, while either client may record a flag fall.
+  function handleClockTick() {
+    const now = Date.now();
+    if (!isFlagged(activeClock, now) || handledFlagRef.current === activeClock.startedAt) return;
+    const { kind } = clockOption(activeClock.id);
+    const flagged = activeClock.running;
+
+    if (mode === 'online') {
+      if (kind === 'turn') {
+        if (flagged !== me || shooterFor(onlineGameData, me) !== seatRole || onlineGameData?.pendingShot) return;
+        handledFlagRef.current = activeClock.startedAt;
+        setMessage("⏰ Time's up! Firing at random");
+        fireRandom("player");
+        return;
+      }
+      handledFlagRef.current = activeClock.startedAt;
+      const secret = secretRef.current;
+      rooms.transact(roomCode, (room) => {
+        if (room.status !== 'playing' || !isFlagged(room.clock, Date.now())) return null;
+        const loser = room.clock.running;
+        // In free-for-all the others play on, with the clock moved to the next player
+        const update = dropFromRoom(room, me, loser, secret);
+        return update && update.winner ? { ...update, timeout: loser } : update;
+      }).catch((err) => reportRoomError(err, 'Recording the timeout'));
+      return;
+    }
+
+    // Against the AI its own shot is already on its way when a per-shot clock
+    // runs out, but it loses on a chess clock like anyone else
+    if (mode === 'ai' && flagged !== 'player' && kind === 'turn') return;
+    handledFlagRef.current = activeClock.startedAt;
+    if (kind === 'turn') {
+      setMessage("⏰ Time's up! Firing at random");
+      fireRandom(flagged);
+      return;
+    }
+    commitMatch(matchReducer(matchRef.current, resign(flagged)));
+    const name = mode === 'pass' ? (flagged === 'player' ? player1Name : player2Name) : (flagged === 'player' ? playerName : 'The AI');
+    if (mode === 'pass') finishGame(flagged === 'player' ? 2 : 1);
+    else finishGame(flagged === 'player' ? 'opponent' : 'player');
+    setMessage(`⏰ ${name} ran out of time`);
+  }
+
+  // A random cell `shooter` hasn't tried yet on `target`'s board, other than
+  // `except` (seeded, like every other choice)
+  function randomTarget(shooter, except = [], target = null) {
+    const current = matchRef.current;
+    const board = current.boards[target || current.seats.find((s) => s !== shooter)];
+    const open = cells.filter((c) => !board.shots[c] && !except.includes(c));
+    return open[Math.floor(randRef.current() * open.length)];
+  }
+
+  // A plain random shot, or in Salvo the queued shots topped up at random. In
+  // free-for-all it goes at the board we aim at, or the next one if that is out.
+  function fireRandom(shooter) {
+    const current = matchRef.current;
+    const target = aim && (targetFor(current, shooter, aim) || current.seats.find((s) => targetFor(current, shooter, s)));
+    if (!current.rules.salvo) return makeMove({ cell: randomTarget(shooter, [], target), target });
+    const picked = target === aim ? [...salvoQueue] : [];
+    while (picked.length < salvoSize(current, shooter, target)) picked.push(randomTarget(shooter, picked, target));
+    return makeMove({ cell: picked[0], cells: picked, target });
+  }
+
+  // Rejected moves are explained to the player; anything else is a real failure
+  function reportRoomError(err, action) {
+    if (err.rejected) {
+      setMessage(`⚠️ ${err.message}`);
+    } else {
+      console.error(`${action} failed:`, err);
+      setMessage(`⚠️ ${action} failed, check your connection`);
+    }
+  }
 
   async function leaveOnlineRoom() {
     // 1. Mark that WE are intentionally leaving, so we ignore any 'abandoned' updates
@@ -625,9 +2106,19 @@ export default function BottleshipApp() {
 
     if (mode === 'online' && roomCode) {
       try {
-        const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-        // 2. This update triggers onSnapshot immediately (locally)
-        await updateDoc(gameRef, { status: 'abandoned' });
+        // In free-for-all the others play on: we drop out (showing our board,
+        // as if knocked out), or if we are already out simply go
+        const stillIn = onlineGameData?.status === 'playing' ? playersLeft(onlineGameData) : [];
+        if (stillIn.length > 2 && stillIn.includes(me)) {
+          const secret = secretRef.current;
+          await rooms.transact(roomCode, (room) => {
+            const update = room.status === 'playing' ? dropFromRoom(room, me, me, secret) : null;
+            return update && secret ? { ...update, [`${me}Reveal`]: secret } : update;
+          });
+        } else if (stillIn.length < 2 || stillIn.includes(me)) {
+          // 2. This update triggers the room subscription immediately (locally)
+          await rooms.leave(roomCode, seatRole);
+        }
       } catch (e) {
         console.error("Error leaving room:", e);
       }
@@ -636,24 +2127,13 @@ export default function BottleshipApp() {
     setScreen('menu');
   }
 
-  // Helper for low-latency overlapping audio
-  const playSound = (audioObj) => {
-    if (!audioObj) return;
-    // cloneNode(true) creates a fresh instance allowing rapid-fire playback
-    const sound = audioObj.cloneNode(true);
-    sound.volume = 0.6; // Adjust volume if needed
-    sound.play().catch((e) => console.log("Audio play failed:", e));
-  };
-
   function resetAll() {
     sessionStorage.removeItem('bottleship_session'); // NEW: Clear session
     setPlayerBottles([]);
     setOpponentBottles([]);
-    setPlayerGrid(ALL_CELLS.map(() => null));
-    setOpponentGrid(ALL_CELLS.map(() => null));
-    setCurrentTurn("player");
-    setActivePlayer(1);
+    commitMatch(createMatch({ variant, rules }));
     setMessage("");
+    setPlacementHint(null);
     setWinner(null);
     setShowConfetti(false);
     setPlayer1Name("");
@@ -662,22 +2142,31 @@ export default function BottleshipApp() {
     setOpponentName("Opponent"); // NEW
     setRoomCode("");
     setJoinRoomInput("");
-    setIsHost(false);
+    setMyRole(null);
     setOnlineGameData(null);
+    secretRef.current = null;
+    resolvedShotIdRef.current = null;
+    revealCheckedRef.current = {};
+    setRevealCheck({});
+    seenRef.current = {};
     // NEW: Reset the leaving flag and the popup state
     isLeavingRef.current = false;
     setShowOpponentLeft(false);
     aiRef.current.reset();
+    setLocalClock(null);
+    setMutedUids([]);
+    setArmed(null);
+    setSalvoQueue([]);
+    setAimAt(null);
+    setEmoteToTeam(false);
+    startSeed();
   }
 
   function autoPlace(setter) {
-    const pool = [...ALL_CELLS];
-    const chosen = [];
-    while (chosen.length < 4 && pool.length) {
-      const i = Math.floor(Math.random() * pool.length);
-      chosen.push(pool.splice(i, 1)[0]);
-    }
+    const chosen = randomLayout(variant, rules, randRef.current);
     setter(chosen);
+    setPlacementHint(null);
+    return chosen;
   }
 
   function startAIMode() {
@@ -686,16 +2175,51 @@ export default function BottleshipApp() {
       item_id: 'vs_ai'
     });
     resetAll();
+    setPlayerName(profile.name);
     setMode("ai");
     setScreen("name-input-ai");
   }
 
+  function startAIGame() {
+    startSeed(useDailySeed ? dailySeed() : seedInput.trim() || newSeed());
+    setScreen('setup');
+  }
+
+  function reportBug() {
+    const lines = [
+      `Seed: ${seed}`,
+      `Mode: ${mode}`,
+      `Board: ${variant.id}`,
+      `Rules: ${JSON.stringify(rules)}`,
+      mode === 'ai' && `AI: ${aiLevel} / ${aiStyleUsed}${isSharedSeed ? '' : ' (session memory on, replay may differ)'}`,
+      `Shots: ${match.history.map((s) => `${s.shooter}:${s.cell}=${s.result}`).join(' ')}`,
+      '',
+      'What happened:',
+    ].filter((line) => line !== false);
+    const subject = encodeURIComponent(`Bottleship bug report (seed ${seed})`);
+    window.location.href = `mailto:ruchitkukadiya111@gmail.com?subject=${subject}&body=${encodeURIComponent(lines.join('\n'))}`;
+  }
+
+  // Load a shared match file into the replay viewer
+  async function openMatchFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setImportedMatch(importMatch(await file.text()));
+      setScreen('match-file');
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   function startPassMode() {
     logGameEvent(analytics, 'select_content', {
       content_type: 'game_mode',
       item_id: 'pass_play'
     });
     resetAll();
+    setPlayer1Name(profile.name);
     setMode("pass");
     setScreen("name-input-pass");
   }
@@ -706,112 +2230,282 @@ export default function BottleshipApp() {
       item_id: 'online_multiplayer'
     });
     resetAll();
+    setPlayerName(profile.name);
     setMode("online");
     setScreen("name-input-online");
   }
 
-  async function createRoom() {
-    if (!user) return;
-    const code = Math.random().toString(36).substring(2, 8).toUpperCase();
+  async function createRoom(option = DEFAULT_PLAYER_OPTION) {
+    if (!user) return null;
+    const { count, teams = false } = playerOption(option);
+    const players = rolesFor(count);
+    let code;
+    try {
+      code = await openRoom(rooms, {
+        players,
+        teams,
+        host: user.uid,
+        hostName: playerName || "Player 1",
+        variant: (teams ? teamVariant(variant) : variant).id,
+        rules,
+        status: 'waiting',
+        turn: 'host',
+        boards: {},
+        out: [],
+        log: [],
+        seq: 0,
+        clockId,
+        clock: null,
+        series: createSeries(bestOf, sidesOf({ players, teams })),
+        created: Date.now()
+      });
+    } catch (err) {
+      console.error("Creating room failed:", err);
+      alert(err.message);
+      return null;
+    }
     setRoomCode(code);
-    setIsHost(true);
+    setMyRole('host');
 
     // NEW: Save session
     sessionStorage.setItem('bottleship_session', JSON.stringify({
       code,
-      isHost: true,
+      role: 'host',
       name: playerName || "Player 1"
     }));
 
     setPlayerName("Host");
+    setScreen("online-waiting");
 
-    const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', code);
-    await setDoc(gameRef, {
-      host: user.uid,
-      hostName: playerName || "Player 1",
-      guestName: "Player 2",
-      status: 'waiting',
-      turn: 'host',
-      hostMoves: {},
-      guestMoves: {},
-      created: Date.now()
-    });
+    // Opportunistic cleanup of dead rooms; someone else will do it if this fails
+    sweepRooms(rooms).catch((err) => console.warn("Room cleanup failed:", err));
+    return code;
+  }
 
-    setScreen("online-waiting");
+  async function joinRoom(code = normalizeRoomCode(joinRoomInput)) {
+    if (!user || !checkRoomCode(code)) return;
+
+    let role;
+    try {
+      role = await rooms.join(code, user.uid, playerName || "Guest");
+    } catch (err) {
+      if (err.canWatch && confirm(`${err.message}. Watch the game as a spectator?`)) {
+        await watchRoom(code);
+      } else {
+        alert(err.message);
+      }
+      return;
+    }
+
+    setRoomCode(code);
+    setMyRole(role);
+    // Free-for-all rooms may still be filling up; the room takes us to setup once full
+    setScreen('online-waiting');
+
+    // NEW: Save session
+    sessionStorage.setItem('bottleship_session', JSON.stringify({
+      code,
+      role,
+      name: playerName || "Guest"
+    }));
+
+    setPlayerName("Guest");
   }
 
-  async function joinRoom() {
-    if (!user) return;
-    const code = joinRoomInput.trim().toUpperCase();
-    if (!code) {
-      alert('Please enter a room code');
+  async function watchRoom(code = normalizeRoomCode(joinRoomInput)) {
+    if (!user || !checkRoomCode(code)) return;
+    const name = playerName.trim() || "Spectator";
+    try {
+      await rooms.watch(code, user.uid, name);
+    } catch (err) {
+      alert(err.message);
       return;
     }
 
-    const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', code);
-    const snap = await getDoc(gameRef);
+    setRoomCode(code);
+    setMyRole(null);
+    setMode('watch');
+    sessionStorage.setItem('bottleship_session', JSON.stringify({ code, name, spectator: true }));
+    setScreen('spectate');
+  }
+
+  async function stopWatching() {
+    if (roomCode && user) {
+      await rooms.unwatch(roomCode, user.uid).catch((e) => console.error("Error leaving room:", e));
+    }
+    resetAll();
+    setScreen('menu');
+  }
 
-    if (!snap.exists()) {
-      alert('Room not found');
+  async function continueOnline() {
+    if (!playerName.trim()) return;
+    if (!inviteCode) {
+      setScreen('online-setup');
       return;
     }
+    if (!user) {
+      alert('Still connecting, try again in a moment');
+      return;
+    }
+    const code = inviteCode;
+    setInviteCode(null);
+    await joinRoom(code);
+  }
 
-    if (snap.data().guest && snap.data().guest !== user.uid) {
-      alert("Room full");
+  async function shareInvite() {
+    const url = inviteUrl(roomCode);
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: 'Bottleship', text: `Join my Bottleship game! Room ${roomCode}`, url });
+      } catch (e) {
+        // Closing the share sheet rejects too; nothing to do
+        if (e.name !== 'AbortError') console.warn("Share failed:", e);
+      }
+      return;
+    }
+    navigator.clipboard.writeText(url);
+    alert('Invite link copied!');
+  }
+
+  // --- Quick Match ---
+  async function findOpponent() {
+    if (!user) return;
+    const key = queueKey(variant, rules, clockId, bestOf);
+    const ticket = newSeed();
+    setQueueState('searching');
+    setScreen('matchmaking');
+
+    try {
+      const opponent = await enterQueue(queues, key, { uid: user.uid, name: playerName || "Player", ticket });
+      if (opponent) {
+        // We arrived second: open a room and tell them where it is (always 1 vs 1)
+        const code = await createRoom('1v1');
+        if (!code) {
+          setQueueState(null);
+          return;
+        }
+        if (!(await announceRoom(queues, key, opponent.ticket, code))) {
+          // They gave up just before we could tell them: close the room and keep looking
+          sessionStorage.removeItem('bottleship_session');
+          setRoomCode("");
+          setMyRole(null);
+          await rooms.leave(code, 'host').catch(() => {});
+          return findOpponent();
+        }
+        setQueueState(null);
+        return;
+      }
+    } catch (err) {
+      console.error("Matchmaking failed:", err);
+      alert("Couldn't reach the matchmaking queue. Try again or create a room.");
+      setQueueState(null);
+      setScreen('online-setup');
       return;
     }
 
-    await updateDoc(gameRef, {
-      guest: user.uid,
-      guestName: playerName || "Guest",
-      status: 'setup'
+    const stop = () => {
+      unsubscribe();
+      clearTimeout(timer);
+      queueRef.current = null;
+    };
+    const unsubscribe = queues.subscribe(key, (queue) => {
+      const code = matchFor(queue, ticket);
+      if (!code) return;
+      stop();
+      exitQueue(queues, key, ticket).catch(() => {});
+      setQueueState(null);
+      joinRoom(code);
     });
+    const timer = setTimeout(async () => {
+      stop();
+      const code = await exitQueue(queues, key, ticket).catch(() => null);
+      if (code) {
+        setQueueState(null);
+        joinRoom(code);
+      } else {
+        setQueueState('timeout');
+      }
+    }, QUEUE_TIMEOUT_MS);
+    queueRef.current = { key, ticket, stop };
+  }
 
-    setRoomCode(code);
-    setIsHost(false);
-
-    // NEW: Save session
-    sessionStorage.setItem('bottleship_session', JSON.stringify({
-      code,
-      isHost: false,
-      name: playerName || "Guest"
-    }));
-
-    setPlayerName("Guest");
+  async function cancelMatchmaking() {
+    const queued = queueRef.current;
+    setQueueState(null);
+    if (queued) {
+      queued.stop();
+      // Paired just as we gave up: take the game rather than strand them
+      const code = await exitQueue(queues, queued.key, queued.ticket).catch(() => null);
+      if (code) {
+        joinRoom(code);
+        return;
+      }
+    }
+    setScreen('online-setup');
   }
 
   function togglePlacement(cell) {
     if (!screen.startsWith("setup")) return;
-    setPlayerBottles((prev) => {
-      if (prev.includes(cell)) return prev.filter((c) => c !== cell);
-      if (prev.length >= 4) return prev;
-      return [...prev, cell];
-    });
+    const { cells: next, error } = toggleSetupCell(playerBottles, cell, { variant, rules, orientation });
+    setPlayerBottles(next);
+    setPlacementHint(error);
   }
 
   async function finalizeSetup() {
-    if (playerBottles.length !== 4) {
-      alert("Place exactly 4 bottles");
+    if (!isValidLayout(playerBottles, variant, rules)) {
+      alert(`Place exactly ${fleetLabel}`);
       return;
     }
 
     logGameEvent(analytics, 'level_start', {
       level_name: mode // 'ai', 'pass', 'online'
     });
+    updateProfile((p) => withName(p, mode === 'pass' ? player1Name : playerName));
 
     if (mode === "online") {
-      const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-      const updateData = isHost ? { hostBottles: playerBottles } : { guestBottles: playerBottles };
-      await updateDoc(gameRef, updateData);
-      setMessage("Waiting for opponent...");
+      // Keep the layout private and only publish a commitment to it. In
+      // 2 vs 2 the first teammate to place sets the team's layout.
+      const role = me;
+      const teams = isTeamRoom(onlineGameData);
+      const previous = secretRef.current;
+      const { secret, commit } = await commitLayout(playerBottles);
+      try {
+        await rooms.savePrivate(roomCode, seatRole, { ...secretOwners(onlineGameData, seatRole), ...secret });
+        secretRef.current = secret;
+        await rooms.transact(roomCode, (room) => {
+          if (room.status !== 'setup') throw moveRejected('Placement is closed for this game');
+          if (room[`${role}Commit`]) {
+            throw moveRejected(teams ? 'Your teammate already placed the bottles' : 'Your bottles are already placed');
+          }
+          return { [`${role}Commit`]: commit, ...(teams ? { [`${role}PlacedBy`]: seatRole } : {}) };
+        });
+        setMessage(playersOf(onlineGameData).length > 2 ? "Waiting for the others..." : "Waiting for opponent...");
+      } catch (err) {
+        secretRef.current = previous;
+        reportRoomError(err, 'Placing your bottles');
+      }
       return;
     }
 
     if (mode === "ai") {
-      autoPlace(setOpponentBottles);
+      // Daily and replayed games ignore session memory so the layout only
+      // depends on the seed and the chosen settings
+      const layoutRand = streamFor(seed, 'ai-layout');
+      const heat = isSharedSeed ? null : heatFor(aiMemoryRef.current, variant);
+      const style = resolveStyle(aiStyle, layoutRand);
+      const aiBottles = placeFleet({ style, variant, rules, heat, rand: layoutRand });
+      setOpponentBottles(aiBottles);
+      setAiStyleUsed(style);
+      aiRef.current = createAI({ level: aiLevel, variant, rules, rand: streamFor(seed, 'ai-shots') });
+      commitMatch(applyActions(createMatch({ variant, rules, seed }), [
+        placeBottles("player", playerBottles),
+        placeBottles("opponent", aiBottles),
+      ]));
+      startLocalClock();
       setScreen("guess");
       setMessage(`${playerName}, your turn!`);
     } else if (mode === "pass") {
+      setPlacementHint(null);
       setScreen("setup-pass-2");
       setMessage(`${player2Name}, place your bottles now`);
     }
@@ -820,40 +2514,40 @@ export default function BottleshipApp() {
   const [tempSecondBottles, setTempSecondBottles] = useState([]);
   function toggleSecond(cell) {
     if (screen !== "setup-pass-2") return;
-    setTempSecondBottles((prev) => {
-      if (prev.includes(cell)) return prev.filter((c) => c !== cell);
-      if (prev.length >= 4) return prev;
-      return [...prev, cell];
-    });
+    const { cells: next, error } = toggleSetupCell(tempSecondBottles, cell, { variant, rules, orientation });
+    setTempSecondBottles(next);
+    setPlacementHint(error);
   }
 
   function finalizePassSecond() {
-    if (tempSecondBottles.length !== 4) {
-      alert(`Place 4 bottles`);
+    if (!isValidLayout(tempSecondBottles, variant, rules)) {
+      alert(`Place ${fleetLabel}`);
       return;
     }
     logGameEvent(analytics, 'level_start', {
       level_name: mode // 'ai', 'pass', 'online'
     });
     setOpponentBottles(tempSecondBottles);
+    commitMatch(applyActions(createMatch({ variant, rules }), [
+      placeBottles("player", playerBottles),
+      placeBottles("opponent", tempSecondBottles),
+    ]));
     setTempSecondBottles([]);
-    setActivePlayer(1);
-    setCurrentTurn("player");
+    startLocalClock();
     setScreen("guess");
     setMessage(`${player1Name}'s turn`);
   }
 
   const sendEmote = async (text) => {
     const now = Date.now();
-    const COOLDOWN_MS = 2000; // 2 seconds cooldown
 
-    // 1. SPAM CHECK: If clicked too soon, do nothing
-    if (now - lastSentTimeRef.current < COOLDOWN_MS) {
+    // 1. SPAM CHECK: emotes share the chat rate limit; if clicked too soon, do nothing
+    if (sendWait(sentAtRef.current, now) > 0) {
       return;
     }
 
     // Update the last sent time
-    lastSentTimeRef.current = now;
+    sentAtRef.current = recordSend(sentAtRef.current, now);
 
     // 2. Close menu and Play Sound immediately
     setShowEmoteMenu(false);
@@ -870,198 +2564,383 @@ export default function BottleshipApp() {
     setTimeout(() => setActiveEmote(null), 3000);
 
     // 4. Send to network
-    if (mode === 'online' && roomCode) {
-      const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
+    if (teamSide && emoteToTeam) {
+      const emote = createTeamEmote({ uid: user.uid, from: seatRole, name: playerName || 'Player', text, at: now });
+      rooms.addMessage(roomCode, emote, teamSide).catch(err => console.error("Team emote failed:", err));
+    } else if ((mode === 'online' || mode === 'watch') && roomCode) {
       // Fire and forget (no await needed for UI)
-      updateDoc(gameRef, {
-        lastEmote: {
-          content: text,
-          from: isHost ? 'host' : 'guest',
-          id: now // Use the same timestamp
-        }
+      rooms.update(roomCode, {
+        lastEmote: mode === 'watch'
+          ? { content: text, from: 'spectator', uid: user.uid, name: playerName || 'Spectator', id: now }
+          : {
+            content: text,
+            from: seatRole,
+            id: now // Use the same timestamp
+          }
       }).catch(err => console.error("Emote failed:", err));
     }
   };
 
-  async function playerGuess(cell) {
-    if (winner) return;
-
-    // --- Online Mode Logic ---
-    if (mode === 'online') {
-      if (currentTurn !== 'player') return;
+  // `team`: send on our 2 vs 2 team channel instead of the room chat
+  async function sendChat(text, team = null) {
+    const now = Date.now();
+    if (!team && !chatEnabled(onlineGameData)) return 'Chat is off in this room';
+    const wait = sendWait(sentAtRef.current, now);
+    if (wait > 0) return `Slow down, you can send again in ${Math.ceil(wait / 1000)}s`;
+    const message = createMessage({
+      uid: user.uid,
+      from: mode === 'watch' ? 'spectator' : seatRole,
+      name: playerName || (mode === 'watch' ? 'Spectator' : 'Player'),
+      text,
+      at: now,
+    });
+    if (!message) return null;
+    sentAtRef.current = recordSend(sentAtRef.current, now);
+    try {
+      await rooms.addMessage(roomCode, message, team);
+      return null;
+    } catch (err) {
+      console.error("Chat failed:", err);
+      return "Message couldn't be sent";
+    }
+  }
 
-      // Derived check to ensure we know exactly who we are based on DB state
-      const isSelfPlay = onlineGameData.host === onlineGameData.guest;
-      const amIHost = isSelfPlay ? isHost : (onlineGameData.host === user.uid);
+  // 2 vs 2: a tap on the target board while it isn't our shot suggests that
+  // cell to our teammate. Pings share the chat rate limit.
+  function sendPing(cell) {
+    if (match.boards[targetSeat].shots[cell]) {
+      setMessage("Already guessed");
+      return;
+    }
+    const now = Date.now();
+    const wait = sendWait(sentAtRef.current, now);
+    if (wait > 0) {
+      setMessage(`Slow down, you can ping again in ${Math.ceil(wait / 1000)}s`);
+      return;
+    }
+    sentAtRef.current = recordSend(sentAtRef.current, now);
+    const mate = nameOf(onlineGameData, teammateOf(onlineGameData, seatRole));
+    rooms.addMessage(roomCode, createPing({ uid: user.uid, from: seatRole, name: playerName || 'Player', cell, at: now }), teamSide)
+      .then(() => setMessage(`📍 Suggested ${cell} to ${mate}`))
+      .catch((err) => reportRoomError(err, 'Pinging'));
+  }
 
-      if (playerGrid[idx(cell)]) return;
+  function setRoomChat(enabled) {
+    rooms.update(roomCode, { chatEnabled: enabled }).catch((err) => reportRoomError(err, 'Changing chat settings'));
+  }
 
-      const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-      // Use amIHost here instead of isHost state
-      const oppBottles = amIHost ? onlineGameData.guestBottles : onlineGameData.hostBottles;
-      const hit = oppBottles.includes(cell);
-      const result = hit ? 'hit' : 'miss';
+  // A tap on the opponent's board: fire, use the armed ability, or in Salvo
+  // add the cell to (or take it off) this turn's volley
+  function playerGuess(cell) {
+    if (pinging) return sendPing(cell);
+    if (aim && isOut(match, aim)) {
+      setMessage(`${seatNames[aim]} is out, pick another board`);
+      return;
+    }
+    // The shield and moves are aimed at your own board instead
+    const aimed = armed?.ability === 'sonar' || armed?.ability === 'strike' ? armed : null;
+    if (!match.rules.salvo || aimed) return makeMove({ cell, ...aimed });
+    const shooter = mode === "pass" ? match.turn : "player";
+    if (winner || screen !== "guess" || match.turn !== shooter || onlineGameData?.pendingShot) return;
+    if (!canFire(match, shooter, cell, aim)) {
+      setMessage("Already guessed");
+      return;
+    }
+    const size = salvoSize(match, shooter, aim);
+    if (salvoQueue.includes(cell)) setSalvoQueue(salvoQueue.filter((c) => c !== cell));
+    else if (salvoQueue.length < size) setSalvoQueue([...salvoQueue, cell]);
+    else setMessage(`Only ${size} shot${size === 1 ? '' : 's'} this turn – tap a queued cell to drop it`);
+  }
 
-      const myMoves = amIHost ? onlineGameData.hostMoves : onlineGameData.guestMoves;
-      const newMoves = { ...myMoves, [cell]: result };
+  function fireSalvo() {
+    return makeMove({ cell: salvoQueue[0], cells: salvoQueue });
+  }
 
-      let newWinner = null;
-      let hitsCount = Object.values(newMoves).filter(v => v === 'hit').length;
-      if (hitsCount >= 4) {
-        newWinner = amIHost ? 'host' : 'guest';
-      }
+  // Plays `move` ({ cell, cells?, ability?, orientation?, target? }, see
+  // moveAction) for whoever is shooting on this screen. `target` is the board
+  // in free-for-all, the one we aim at unless given.
+  async function makeMove(move) {
+    if (winner) return;
+    if (screen !== "guess") return;
+    const { cell } = move;
+    const aimed = move.target || aim;
 
-      const updatePayload = {
-        [amIHost ? 'hostMoves' : 'guestMoves']: newMoves
-      };
+    // --- Online Mode Logic ---
+    // We can't see the target's layout, so we only announce the shot.
+    // Their client resolves it and the snapshot listener shows the result.
+    if (mode === 'online') {
+      const allowed = targetFor(match, "player", aimed) && (move.cells
+        ? move.cells.length === salvoSize(match, "player", aimed) && move.cells.every((c) => canFire(match, "player", c, aimed))
+        : move.ability ? canUseAbility(match, "player", move.ability) : canFire(match, "player", cell, aimed));
+      if (!allowed || onlineGameData.pendingShot) return;
+      const target = roleAt(aimed || targetSeat, me, sidesOf(onlineGameData));
 
-      if (newWinner) {
-        updatePayload.winner = newWinner;
-        updatePayload.status = 'finished';
-      } else if (!hit) {
-        updatePayload.turn = amIHost ? 'guest' : 'host';
+      const at = Date.now();
+      try {
+        // Based on the snapshot we saw (`seq`): a double tap or a second tab
+        // finds the room already changed and is turned away
+        await rooms.transact(roomCode, (room) => {
+          if (room.status !== 'playing' || room.winner) throw moveRejected('The game is not in progress');
+          if (room.turn !== me) throw moveRejected("It's not your turn");
+          if (shooterFor(room, me) !== seatRole) throw moveRejected(`It's ${nameOf(room, shooterFor(room, me))}'s shot`);
+          if (room.pendingShot) throw moveRejected('Wait for your last shot to land');
+          if ((room.out || []).includes(target)) throw moveRejected(`${nameOf(room, target)} is already out`);
+          if (move.ability) {
+            if (!(room.arsenal?.[me]?.[move.ability] > 0)) throw moveRejected(`No ${ABILITIES[move.ability].label} left`);
+            return { pendingShot: { by: me, target, cell, id: at, at, ability: move.ability, orientation: move.orientation || 'h' } };
+          }
+          const tried = (move.cells || [cell]).find((c) => room.boards?.[target]?.shots?.[c]);
+          if (tried) throw moveRejected(`You already fired at ${tried}`);
+          return { pendingShot: { by: me, target, cell, id: at, at, ...(move.cells ? { cells: move.cells } : {}) } };
+        }, { seq: onlineGameData.seq || 0 });
+        setArmed(null);
+        setSalvoQueue([]);
+      } catch (err) {
+        reportRoomError(err, 'Firing');
       }
+      return;
+    }
 
-      if (hit) {
-        playSound(sounds.hit)
-      } else {
-        playSound(sounds.miss)
-      }
+    // In Pass & Play whoever holds the turn is shooting; against the AI it's us.
+    const shooter = mode === "pass" ? match.turn : "player";
+    if (mode !== "pass" && match.turn !== "player") return;
 
-      await updateDoc(gameRef, updatePayload);
+    const next = matchReducer(match, moveAction(shooter, move, Date.now(), aimed));
+    if (next === match) {
+      setMessage(move.ability ? `Can't use ${ABILITIES[move.ability].label} there` : move.cells ? "That salvo can't be fired" : "Already guessed");
       return;
     }
+    const moved = lastMove(next);
+    // Only a plain hit keeps the turn; strikes and salvos pass it even when they hit
+    const again = next.turn === shooter;
+    const hitText = moved.sunk ? 'Hit & sunk!' : 'Hit!';
+    const note = moveNote(moved);
+    playSound(moved.hits > 0 ? sounds.hit : sounds.miss);
+
+    setArmed(null);
+    setSalvoQueue([]);
+    commitMatch(next);
 
     // --- Pass & Play Mode Logic ---
     if (mode === "pass") {
-      const i = idx(cell);
-
-      if (activePlayer === 1) {
-        if (playerGrid[i]) {
-          setMessage("Already guessed");
-          return;
-        }
-        const hit = opponentBottles.includes(cell); // P1 guesses on P2's bottles
-
-        // Optimistic Update
-        const newGrid = [...playerGrid];
-        newGrid[i] = hit ? "hit" : "miss";
-        setPlayerGrid(newGrid);
-
-        if (hit) {
-          playSound(sounds.hit);
-          setMessage(`Hit! ${player1Name} goes again`);
-          const hitsCount = newGrid.filter((c) => c === "hit").length;
-          if (hitsCount >= 4) {
-            finishGame(1);
-            return;
-          }
-          return;
-        }
+      const [name, otherName] = shooter === "player" ? [player1Name, player2Name] : [player2Name, player1Name];
+      if (next.winner) {
+        finishGame(shooter === "player" ? 1 : 2);
+      } else if (again) {
+        setMessage(`${hitText} ${name} goes again`);
+      } else {
+        setMessage(note ? `${note} · ${otherName}'s turn` : `${otherName}'s turn`);
+      }
+      return;
+    }
 
-        playSound(sounds.miss);
+    // --- AI Mode Logic ---
+    if (next.winner) {
+      finishGame("player");
+    } else if (again) {
+      setMessage(`${hitText} Go again`);
+    } else {
+      setMessage(note ? `${note} · AI thinking...` : "AI thinking...");
+      setTimeout(aiPlay, note ? 1500 : 700);
+    }
+  }
 
-        setActivePlayer(2);
-        setMessage(`${player2Name}'s turn`);
+  // Arsenal: shield one of your own cells. Online only the flag is public;
+  // the cell joins our private layout document, to be revealed at the end.
+  async function placeShield(cell) {
+    setArmed(null);
+    if (winner || screen !== "guess") return;
 
-      } else {
-        // Player 2 Logic
-        if (opponentGrid[i]) {
-          setMessage("Already guessed");
-          return;
-        }
-        const hit = playerBottles.includes(cell); // P2 guesses on P1's bottles
-
-        const newGrid = [...opponentGrid];
-        newGrid[i] = hit ? "hit" : "miss";
-        setOpponentGrid(newGrid);
-
-        if (hit) {
-          playSound(sounds.hit);
-          setMessage(`Hit! ${player2Name} goes again`);
-          const hitsCount = newGrid.filter((c) => c === "hit").length;
-          if (hitsCount >= 4) {
-            finishGame(2);
-            return;
-          }
-          return;
-        }
+    if (mode === 'online') {
+      if (matchReducer(match, raiseShield("player", cell)) === match || onlineGameData.pendingShot) return;
 
-        playSound(sounds.miss)
-        setActivePlayer(1);
-        setMessage(`${player1Name}'s turn`);
+      const secret = { ...secretRef.current, shield: cell };
+      const role = secretRole(onlineGameData, me);
+      try {
+        await rooms.savePrivate(roomCode, role, { ...secretOwners(onlineGameData, role), ...secret });
+        secretRef.current = secret;
+        await rooms.transact(roomCode, (room) => {
+          if (room.status !== 'playing' || room.winner) throw moveRejected('The game is not in progress');
+          if (room.turn !== me || room.pendingShot || shooterFor(room, me) !== seatRole) throw moveRejected("It's not your turn");
+          // Without the flag the new shield isn't up yet
+          const local = roomToMatch(room, me, secret);
+          const raised = matchReducer(local, raiseShield("player", cell));
+          if (raised === local) throw moveRejected("You can't shield that cell");
+          return matchToRoomUpdate(raised, room, me);
+        }, { seq: onlineGameData.seq || 0 });
+        setMessage("🛡️ Shield up");
+      } catch (err) {
+        reportRoomError(err, 'Raising your shield');
       }
       return;
     }
 
-    // --- AI Mode Logic ---
-    if (!(screen === "guess")) return;
-    if (currentTurn !== "player") return;
-
-    const i = idx(cell);
-    if (playerGrid[i]) {
-      setMessage("Already guessed");
+    const seat = mode === "pass" ? match.turn : "player";
+    if (mode !== "pass" && match.turn !== "player") return;
+    const next = matchReducer(match, raiseShield(seat, cell));
+    if (next === match) {
+      setMessage("You can't shield that cell");
       return;
     }
+    commitMatch(next);
+    setMessage("🛡️ Shield up");
+  }
 
-    const hit = opponentBottles.includes(cell);
-    setPlayerGrid((g) => {
-      const copy = [...g];
-      copy[i] = hit ? "hit" : "miss";
-      return copy;
-    });
+  // A tap on your own board: raise the shield, or pick a bottle to move and
+  // then the cell to move it to
+  function ownBoardTap(cell) {
+    if (armed?.ability === 'shield') placeShield(cell);
+    if (armed?.ability !== 'move') return;
+    if (match.boards[viewerSeat].bottles.includes(cell)) {
+      setArmed(armed.from === cell ? { ability: 'move' } : { ability: 'move', from: cell });
+    } else if (armed.from) {
+      moveBottle(armed.from, cell);
+    }
+  }
 
-    if (hit) {
-      playSound(sounds.hit);
-      setMessage(`Hit! Go again`);
-      const hitsCount = playerGrid.filter((c) => c === "hit").length + 1;
-      if (hitsCount >= 4) {
-        finishGame("player");
+  // Movable bottles. Online the move only goes into our private secret: the
+  // room just hears that something moved, and the reveal replays it.
+  async function moveBottle(from, to) {
+    setArmed(null);
+    if (winner || screen !== "guess") return;
+
+    if (mode === 'online') {
+      if (matchReducer(match, relocate("player", from, to)) === match || onlineGameData.pendingShot) {
+        setMessage("That bottle can't move there");
+        return;
+      }
+
+      // Our shots are resolved against the secret, so it changes first and
+      // goes back if the room turns the move down
+      const previous = secretRef.current;
+      const secret = { ...previous, moves: [...(previous.moves || []), { from, to }] };
+      secretRef.current = secret;
+      try {
+        await rooms.transact(roomCode, (room) => {
+          if (room.status !== 'playing' || room.winner) throw moveRejected('The game is not in progress');
+          if (room.turn !== me || room.pendingShot || shooterFor(room, me) !== seatRole) throw moveRejected("It's not your turn");
+          const local = roomToMatch(room, me, previous);
+          const next = matchReducer(local, relocate("player", from, to));
+          if (next === local) throw moveRejected("That bottle can't move there");
+          return matchToRoomUpdate(next, room, me);
+        }, { seq: onlineGameData.seq || 0 });
+      } catch (err) {
+        secretRef.current = previous;
+        reportRoomError(err, 'Moving your bottle');
         return;
       }
+      setMessage("🔀 Bottle moved");
+      const role = secretRole(onlineGameData, me);
+      rooms.savePrivate(roomCode, role, { ...secretOwners(onlineGameData, role), ...secret })
+        .catch((err) => reportRoomError(err, 'Saving your move'));
       return;
     }
 
-    playSound(sounds.miss);
-
-    if (mode === "ai") {
-      setCurrentTurn("opponent");
-      setMessage("AI thinking...");
-      setTimeout(aiPlay, 700);
+    const seat = mode === "pass" ? match.turn : "player";
+    if (mode !== "pass" && match.turn !== "player") return;
+    const next = matchReducer(match, relocate(seat, from, to));
+    if (next === match) {
+      setMessage("That bottle can't move there");
+      return;
     }
+    commitMatch(next);
+    if (seat === "player") setPlayerBottles(next.boards.player.bottles);
+    else setOpponentBottles(next.boards.opponent.bottles);
+    // The AI's misses on our board may be out of date now
+    if (mode === "ai") aiRef.current.registerMove();
+    setMessage("🔀 Bottle moved");
   }
 
   function aiPlay() {
+    let current = matchRef.current;
+    if (current.winner) return;
+    // Movable bottles: the AI moves a random bottle whenever it may
+    const moves = relocationsFor(current, "opponent");
+    if (moves.length) {
+      const { from, to } = moves[Math.floor(randRef.current() * moves.length)];
+      current = matchReducer(current, relocate("opponent", from, to));
+      commitMatch(current);
+      setOpponentBottles(current.boards.opponent.bottles);
+    }
+    if (current.rules.salvo) {
+      aiSalvo(current);
+      return;
+    }
+
     const next = aiRef.current.nextMove();
     if (!next) {
       finishGame("player");
       return;
     }
-    const i = idx(next);
-    if (opponentGrid[i]) {
-      aiRef.current.registerResult(next, false);
+    const after = matchReducer(current, fire("opponent", next));
+    if (after === current) {
+      aiRef.current.registerResult(next, "miss");
       setTimeout(aiPlay, 0);
       return;
     }
-    const wasHit = playerBottles.includes(next);
-    setOpponentGrid((g) => {
-      const copy = [...g];
-      copy[i] = wasHit ? "hit" : "miss";
-      return copy;
-    });
-    aiRef.current.registerResult(next, wasHit);
-    if (wasHit) {
+    commitMatch(after);
+
+    const shot = lastShot(after);
+    const wasHit = shot.result === "hit";
+    // A shielded cell is still unknown, so the AI may try it again
+    if (shot.result !== "blocked") aiRef.current.registerResult(next, shot.result, shot.sunk);
+    if (after.winner) {
+      playSound(sounds.hit);
+      finishGame("opponent");
+    } else if (wasHit) {
       playSound(sounds.hit);
       setTimeout(aiPlay, 500);
     } else {
       playSound(sounds.miss);
-      setCurrentTurn("player");
-      setMessage(`Your turn`);
+      setMessage(shot.result === "blocked" ? `🛡️ Your shield blocked ${next} · Your turn` : `Your turn`);
+    }
+  }
+
+  // The AI's whole Salvo turn: one volley, then back to the player
+  function aiSalvo(current) {
+    const picks = aiRef.current.nextMoves(salvoSize(current, "opponent"));
+    const after = matchReducer(current, salvo("opponent", picks));
+    if (after === current) {
+      console.error("AI salvo rejected:", picks);
+      return;
     }
+    commitMatch(after);
+    after.history.slice(current.history.length).forEach((shot) => {
+      if (shot.result !== "blocked") aiRef.current.registerResult(shot.cell, shot.result, shot.sunk);
+    });
+
+    const moved = lastMove(after);
+    playSound(moved.hits > 0 ? sounds.hit : sounds.miss);
+    if (after.winner) finishGame("opponent");
+    else setMessage(`${moveNote(moved)} from the AI · Your turn`);
+  }
+
+  // Feed the human's first shots of this game into the AI's placement memory
+  function rememberOpeningShots() {
+    const shots = matchRef.current.history.filter((s) => s.shooter === "player" && ["hit", "miss"].includes(s.result)).map((s) => s.cell);
+    aiMemoryRef.current = learnOpeningShots(aiMemoryRef.current, variant, shots);
+    sessionStorage.setItem('bottleship_ai_memory', JSON.stringify(aiMemoryRef.current));
+  }
+
+  // Pass & Play counts from Player 1's side ("player" seat)
+  function recordStats(won) {
+    const { history } = matchRef.current;
+    // Sonar pings, shielded shots and moves aren't shots at the fleet
+    const mine = history.filter((s) => s.shooter === "player" && ["hit", "miss"].includes(s.result));
+    updateProfile((p) => recordGame(p, {
+      category: statCategory(mode, aiLevel),
+      won,
+      shots: mine.length,
+      hits: mine.filter((s) => s.result === "hit").length,
+      gameId: `${mode}:${roomCode}:${history[0]?.at}:${history.length}`,
+    }));
   }
 
-  function finishGame(w) {
+  // `gameId` names the game when the same end can be seen more than once
+  function finishGame(w, gameId = null) {
     setWinner(w);
+    if (gameId && finishedGameRef.current === gameId) return;
+    if (gameId) finishedGameRef.current = gameId;
     setShowConfetti(true);
     playSound(sounds.win);
 
@@ -1069,11 +2948,13 @@ export default function BottleshipApp() {
       setMessage(w === 1 ? `${player1Name} Wins! 🎉` : `${player2Name} Wins! 🎉`);
     } else if (mode === "online") {
       // Use real names for the result message
-      const wName = w === 'player' ? playerName : opponentName;
+      const wName = w === 'player' ? playerName : seatNames[w] || opponentName;
       setMessage(`${wName} Wins! 🎉`);
     } else {
       setMessage(w === "player" ? `${playerName} Wins! 🎉` : "AI Wins!");
+      rememberOpeningShots();
     }
+    recordStats(w === 'player' || w === 1);
 
     logGameEvent(analytics, 'level_end', {
       level_name: mode,
@@ -1091,37 +2972,89 @@ export default function BottleshipApp() {
       setWinner(null);
       setPlayerBottles([]);
       setOpponentBottles([]);
-      setPlayerGrid(ALL_CELLS.map(() => null));
-      setOpponentGrid(ALL_CELLS.map(() => null));
-      setActivePlayer(1);
-      setCurrentTurn('player');
+      commitMatch(createMatch({ variant, rules }));
+      startSeed();
       setScreen('setup-pass');
     } else if (mode === 'online') {
-      // Reset DB state to setup
-      const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-      await updateDoc(gameRef, {
-        status: 'setup',
-        hostBottles: [],
-        guestBottles: [],
-        hostMoves: {},
-        guestMoves: {},
-        winner: null,
-        turn: 'host'
-      });
+      // Ask for a rematch; the last request resets the room, once, even if tapped twice
+      await rooms.transact(roomCode, (room) => requestRematch(room, seatRole))
+        .catch((err) => reportRoomError(err, 'Starting a rematch'));
     } else if (mode === 'ai') {
       setWinner(null);
       setPlayerBottles([]);
       setOpponentBottles([]);
-      setPlayerGrid(ALL_CELLS.map(() => null));
-      setOpponentGrid(ALL_CELLS.map(() => null));
+      commitMatch(createMatch({ variant, rules }));
       aiRef.current.reset();
+      startSeed(useDailySeed ? dailySeed() : newSeed());
       setScreen('setup');
     }
   };
 
+  // Whose reveal we have checked, for the game over screen. Players dropped
+  // from a free-for-all never reveal, so they aren't waited for.
+  const revealStatus = (() => {
+    if (mode !== 'online' || !onlineGameData) return { mismatched: [], text: '' };
+    const room = onlineGameData;
+    const checked = sidesOf(room).filter((r) => r !== me && (room[`${r}Reveal`] || !(room.out || []).includes(r)));
+    const mismatched = checked.filter((r) => revealCheck[r] === 'mismatch');
+    const boards = isFreeForAll(room) ? 'every board' : "opponent's board";
+    let text = `✅ ${isFreeForAll(room) ? 'Every board' : "Opponent's board"} verified`;
+    if (mismatched.length) {
+      const who = isFreeForAll(room) ? `${mismatched.map((r) => sideName(room, r)).join(' and ')}'s` : "Opponent's";
+      text = `⚠️ ${who} board doesn't match the results they reported!`;
+    } else if (checked.some((r) => !revealCheck[r])) {
+      text = `🔒 Verifying ${boards}...`;
+    }
+    return { mismatched, text };
+  })();
+
+  const chatPanel = (
+    <ChatPanel
+      messages={chatMessages}
+      myUid={user?.uid}
+      muted={mutedUids}
+      onMute={(uid) => setMutedUids((m) => toggleMute(m, uid))}
+      enabled={chatEnabled(onlineGameData)}
+      canDisable={mode === 'online' && isHost}
+      onToggleEnabled={() => setRoomChat(!chatEnabled(onlineGameData))}
+      onSend={sendChat}
+    />
+  );
+  // 2 vs 2: only our teammate and we can read this one
+  const teamChatPanel = teamSide && (
+    <ChatPanel
+      title="🤝 Team chat"
+      messages={teamMessages}
+      myUid={user?.uid}
+      muted={mutedUids}
+      onMute={(uid) => setMutedUids((m) => toggleMute(m, uid))}
+      enabled
+      canDisable={false}
+      onSend={(text) => sendChat(text, teamSide)}
+    />
+  );
+
   return (
     <div style={{ ...baseStyle, minHeight: '100vh', padding: '12px', overscrollBehavior: 'none', background: 'linear-gradient(135deg,#eef2ff,#fff7ed)' }}>
       <EnvironmentBadge />
+      {mode === 'online' && away && !winner && (
+        <div style={{
+          position: 'fixed', bottom: '16px', left: '50%', transform: 'translateX(-50%)', zIndex: 1500,
+          background: '#1f2937', color: 'white', padding: '10px 16px', borderRadius: '999px',
+          fontSize: '14px', fontWeight: 600, boxShadow: '0 4px 12px rgba(0,0,0,0.25)'
+        }}>
+          📡 {nameOf(onlineGameData, away.role)} disconnected · waiting {away.secs}s
+        </div>
+      )}
+      {mode === 'online' && watchingCount(onlineGameData) > 0 && (
+        <div style={{
+          position: 'fixed', top: '12px', right: '12px', zIndex: 1500,
+          background: 'rgba(31,41,55,0.85)', color: 'white', padding: '6px 12px', borderRadius: '999px',
+          fontSize: '13px', fontWeight: 600
+        }}>
+          👀 {watchingCount(onlineGameData)} watching
+        </div>
+      )}
       {showConfetti && <Confetti />}
 
       <div style={{ width: '100%', maxWidth: '800px', margin: '0 auto' }}>
@@ -1218,6 +3151,30 @@ export default function BottleshipApp() {
                 📺 <br /> How to Play
               </button>
 
+              <button
+                onClick={() => setScreen('stats')}
+                style={{
+                  flex: 1, padding: '12px', borderRadius: '12px',
+                  background: '#fefce8', color: '#854d0e', border: '1px solid #fef08a',
+                  cursor: 'pointer', fontSize: '14px', fontWeight: 700, fontFamily: 'inherit',
+                  display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px'
+                }}
+              >
+                📊 <br /> Stats
+              </button>
+
+              <label
+                style={{
+                  flex: 1, padding: '12px', borderRadius: '12px',
+                  background: '#f0fdf4', color: '#166534', border: '1px solid #bbf7d0',
+                  cursor: 'pointer', fontSize: '14px', fontWeight: 700, fontFamily: 'inherit',
+                  display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px'
+                }}
+              >
+                📂 <br /> Open Match
+                <input type="file" accept="application/json,.json" onChange={openMatchFile} style={{ display: 'none' }} />
+              </label>
+
               {/* NEW: Video Link Button */}
               <a
                 href="https://youtu.be/p3NcXN3hQm0"
@@ -1294,8 +3251,20 @@ export default function BottleshipApp() {
         )}
 
         {/* ... (Tutorial, Name Inputs - UNCHANGED from previous version) ... */}
+        {screen === 'stats' && (
+          <StatsScreen
+            profile={profile}
+            onBack={() => setScreen('menu')}
+            onReset={() => {
+              if (window.confirm('Reset all your stats on this device?')) {
+                updateProfile((p) => ({ ...p, stats: {}, lastGameId: null }));
+              }
+            }}
+          />
+        )}
+
         {screen === 'tutorial' && (
-          <InteractiveTutorial onClose={() => setScreen('menu')} />
+          <InteractiveTutorial onClose={() => setScreen('menu')} variant={variant} />
         )}
 
         {screen === 'name-input-ai' && (
@@ -1309,10 +3278,21 @@ export default function BottleshipApp() {
               style={{ width: '100%', padding: '12px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '16px', marginBottom: '16px', boxSizing: 'border-box', fontFamily: 'inherit' }}
               onKeyPress={(e) => {
                 if (e.key === 'Enter' && playerName.trim()) {
-                  setScreen('setup');
+                  startAIGame();
                 }
               }}
             />
+            <VariantPicker value={variant} onChange={setVariant} />
+            <RulesPicker value={rules} onChange={setRules} />
+            <ClockPicker value={clockId} onChange={setClockId} />
+            <AILevelPicker value={aiLevel} onChange={setAiLevel} />
+            <AIStylePicker value={aiStyle} onChange={setAiStyle} />
+            <SeedPicker
+              daily={useDailySeed}
+              onDailyChange={setUseDailySeed}
+              value={seedInput}
+              onChange={setSeedInput}
+            />
             <div style={{ display: 'flex', gap: '8px' }}>
               <button
                 onClick={() => {
@@ -1320,7 +3300,7 @@ export default function BottleshipApp() {
                     alert('Please enter your name');
                     return;
                   }
-                  setScreen('setup');
+                  startAIGame();
                 }}
                 style={{ flex: 1, padding: '12px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '16px', fontWeight: 600, fontFamily: 'inherit' }}
               >
@@ -1339,15 +3319,32 @@ export default function BottleshipApp() {
         {screen === 'name-input-online' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '24px', borderRadius: '16px', maxWidth: '400px', margin: '0 auto' }}>
             <h3 style={{ fontSize: '20px', fontWeight: 700, marginBottom: '16px', textAlign: 'center' }}>Enter Name for Online</h3>
+            {inviteCode && (
+              <p style={{ margin: '-8px 0 16px 0', fontSize: '14px', color: '#3730a3', fontWeight: 600, textAlign: 'center' }}>
+                💌 You're invited to room {inviteCode}
+              </p>
+            )}
             <input
               type="text"
               value={playerName}
               onChange={(e) => setPlayerName(e.target.value)}
               placeholder="Your name"
               style={{ width: '100%', padding: '12px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '16px', marginBottom: '16px', boxSizing: 'border-box', fontFamily: 'inherit' }}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') continueOnline();
+              }}
             />
+            {!inviteCode && (
+              <>
+                <VariantPicker value={variant} onChange={setVariant} />
+                <RulesPicker value={rules} onChange={setRules} note="Board, rules, clock, series and players apply when you create a room. Joining a room uses its settings." />
+                <ClockPicker value={clockId} onChange={setClockId} />
+                <SeriesPicker value={bestOf} onChange={setBestOf} />
+                <PlayerCountPicker value={playerCount} onChange={setPlayerCount} />
+              </>
+            )}
             <div style={{ display: 'flex', gap: '8px' }}>
-              <button onClick={() => { if (playerName.trim()) setScreen('online-setup'); }} style={{ flex: 1, padding: '12px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '16px', fontWeight: 600, fontFamily: 'inherit' }}>Continue</button>
+              <button onClick={continueOnline} style={{ flex: 1, padding: '12px', borderRadius: '8px', background: '#4f46e5', color: 'white', border: 'none', cursor: 'pointer', fontSize: '16px', fontWeight: 600, fontFamily: 'inherit' }}>Continue</button>
               <button onClick={() => { resetAll(); setScreen('menu'); }} style={{ padding: '12px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontWeight: 600, fontFamily: 'inherit' }}>Back</button>
             </div>
           </div>
@@ -1375,6 +3372,9 @@ export default function BottleshipApp() {
                 }
               }}
             />
+            <VariantPicker value={variant} onChange={setVariant} />
+            <RulesPicker value={rules} onChange={setRules} />
+            <ClockPicker value={clockId} onChange={setClockId} />
             <div style={{ display: 'flex', gap: '8px' }}>
               <button
                 onClick={() => {
@@ -1401,34 +3401,37 @@ export default function BottleshipApp() {
         {screen === 'setup' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '16px', borderRadius: '16px' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '8px' }}>
-              <h3 style={{ margin: 0, fontSize: 'clamp(16px, 4vw, 18px)', fontWeight: 700 }}>{playerName} – Place 4 bottles</h3>
+              <h3 style={{ margin: 0, fontSize: 'clamp(16px, 4vw, 18px)', fontWeight: 700 }}>{playerName} – Place {fleetLabel}</h3>
               <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', margin: '12px 0' }}>
-                {[...Array(4)].map((_, i) => (
+                {[...Array(fleet.length)].map((_, i) => (
                   <div key={i} style={{
                     width: '12px',
                     height: '12px',
                     borderRadius: '50%',
-                    background: i < playerBottles.length ? '#10b981' : '#e5e7eb', // Green if placed, Gray if empty
+                    background: i < piecesPlaced(playerBottles) ? '#10b981' : '#e5e7eb', // Green if placed, Gray if empty
                     border: '1px solid #d1d5db',
                     transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
-                    transform: i < playerBottles.length ? 'scale(1.2)' : 'scale(1)'
+                    transform: i < piecesPlaced(playerBottles) ? 'scale(1.2)' : 'scale(1)'
                   }} />
                 ))}
               </div>
               <div style={{ display: 'flex', gap: '6px' }}>
                 <button onClick={() => autoPlace(setPlayerBottles)} style={{ padding: '6px 10px', borderRadius: '6px', background: '#06b6d4', color: 'white', border: 'none', cursor: 'pointer', fontSize: '13px', fontWeight: 600, fontFamily: 'inherit' }}>Auto</button>
-                <button onClick={() => setPlayerBottles([])} style={{ padding: '6px 10px', borderRadius: '6px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontSize: '13px', fontWeight: 600, fontFamily: 'inherit' }}>Clear</button>
+                <button onClick={() => { setPlayerBottles([]); setPlacementHint(null); }} style={{ padding: '6px 10px', borderRadius: '6px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontSize: '13px', fontWeight: 600, fontFamily: 'inherit' }}>Clear</button>
               </div>
             </div>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
-              {ALL_CELLS.map((c) => (
+            {rules.crates && (
+              <CrateControls orientation={orientation} onRotate={() => setOrientation(o => o === 'h' ? 'v' : 'h')} hint={placementHint} />
+            )}
+            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${variant.size}, 1fr)`, gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
+              {cells.map((c) => (
                 <button
                   key={c}
                   onClick={() => togglePlacement(c)}
                   style={{
                     padding: '0',
                     aspectRatio: '1',
-                    minHeight: '60px',
+                    minHeight: cellMinHeight,
                     borderRadius: '10px',
                     background: playerBottles.includes(c) ? '#f59e0b' : '#ffffff',
                     border: '2px solid #e5e7eb',
@@ -1441,7 +3444,7 @@ export default function BottleshipApp() {
                     fontFamily: 'inherit'
                   }}
                 >
-                  {playerBottles.includes(c) ? '🧴' : c}
+                  {playerBottles.includes(c) ? pieceIcon : c}
                 </button>
               ))}
             </div>
@@ -1457,32 +3460,35 @@ export default function BottleshipApp() {
 
         {screen === 'setup-pass' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '16px', borderRadius: '16px' }}>
-            <h3 style={{ marginTop: 0, textAlign: 'center', color: '#10b981', fontSize: 'clamp(18px, 5vw, 20px)', fontWeight: 700 }}>{player1Name}: Place 4 bottles</h3>
+            <h3 style={{ marginTop: 0, textAlign: 'center', color: '#10b981', fontSize: 'clamp(18px, 5vw, 20px)', fontWeight: 700 }}>{player1Name}: Place {fleetLabel}</h3>
             <p style={{ textAlign: 'center', color: '#6b7280', marginBottom: '16px', fontSize: '14px' }}>Don't let {player2Name} see!</p>
 
             {/* Minimal Dot Indicator */}
             <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', margin: '12px 0' }}>
-              {[...Array(4)].map((_, i) => (
+              {[...Array(fleet.length)].map((_, i) => (
                 <div key={i} style={{
                   width: '12px',
                   height: '12px',
                   borderRadius: '50%',
-                  background: i < playerBottles.length ? '#10b981' : '#e5e7eb',
+                  background: i < piecesPlaced(playerBottles) ? '#10b981' : '#e5e7eb',
                   border: '1px solid #d1d5db',
                   transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
-                  transform: i < playerBottles.length ? 'scale(1.2)' : 'scale(1)'
+                  transform: i < piecesPlaced(playerBottles) ? 'scale(1.2)' : 'scale(1)'
                 }} />
               ))}
             </div>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
-              {ALL_CELLS.map((c) => (
+            {rules.crates && (
+              <CrateControls orientation={orientation} onRotate={() => setOrientation(o => o === 'h' ? 'v' : 'h')} hint={placementHint} />
+            )}
+            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${variant.size}, 1fr)`, gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
+              {cells.map((c) => (
                 <button
                   key={c}
                   onClick={() => togglePlacement(c)}
                   style={{
                     padding: '0',
                     aspectRatio: '1',
-                    minHeight: '60px',
+                    minHeight: cellMinHeight,
                     borderRadius: '10px',
                     background: playerBottles.includes(c) ? '#f59e0b' : '#ffffff',
                     border: '2px solid #e5e7eb',
@@ -1495,7 +3501,7 @@ export default function BottleshipApp() {
                     fontFamily: 'inherit'
                   }}
                 >
-                  {playerBottles.includes(c) ? '🧴' : c}
+                  {playerBottles.includes(c) ? pieceIcon : c}
                 </button>
               ))}
             </div>
@@ -1505,31 +3511,34 @@ export default function BottleshipApp() {
 
         {screen === 'setup-pass-2' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '16px', borderRadius: '16px' }}>
-            <h3 style={{ marginTop: 0, textAlign: 'center', color: '#0ea5e9', fontSize: 'clamp(18px, 5vw, 20px)', fontWeight: 700 }}>{player2Name}: Place 4 bottles</h3>
+            <h3 style={{ marginTop: 0, textAlign: 'center', color: '#0ea5e9', fontSize: 'clamp(18px, 5vw, 20px)', fontWeight: 700 }}>{player2Name}: Place {fleetLabel}</h3>
             {/* Minimal Dot Indicator for Player 2 */}
             <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', margin: '12px 0' }}>
-              {[...Array(4)].map((_, i) => (
+              {[...Array(fleet.length)].map((_, i) => (
                 <div key={i} style={{
                   width: '12px',
                   height: '12px',
                   borderRadius: '50%',
-                  background: i < tempSecondBottles.length ? '#10b981' : '#e5e7eb',
+                  background: i < piecesPlaced(tempSecondBottles) ? '#10b981' : '#e5e7eb',
                   border: '1px solid #d1d5db',
                   transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
-                  transform: i < tempSecondBottles.length ? 'scale(1.2)' : 'scale(1)'
+                  transform: i < piecesPlaced(tempSecondBottles) ? 'scale(1.2)' : 'scale(1)'
                 }} />
               ))}
             </div>
             <p style={{ textAlign: 'center', color: '#6b7280', marginBottom: '16px', fontSize: '14px' }}>Don't let {player1Name} see!</p>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
-              {ALL_CELLS.map((c) => (
+            {rules.crates && (
+              <CrateControls orientation={orientation} onRotate={() => setOrientation(o => o === 'h' ? 'v' : 'h')} hint={placementHint} />
+            )}
+            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${variant.size}, 1fr)`, gap: '8px', maxWidth: '400px', margin: '0 auto 16px auto' }}>
+              {cells.map((c) => (
                 <button
                   key={c}
                   onClick={() => toggleSecond(c)}
                   style={{
                     padding: '0',
                     aspectRatio: '1',
-                    minHeight: '60px',
+                    minHeight: cellMinHeight,
                     borderRadius: '10px',
                     background: tempSecondBottles.includes(c) ? '#fbbf24' : '#ffffff',
                     border: '2px solid #e5e7eb',
@@ -1542,7 +3551,7 @@ export default function BottleshipApp() {
                     fontFamily: 'inherit'
                   }}
                 >
-                  {tempSecondBottles.includes(c) ? '🧴' : c}
+                  {tempSecondBottles.includes(c) ? pieceIcon : c}
                 </button>
               ))}
             </div>
@@ -1550,6 +3559,24 @@ export default function BottleshipApp() {
           </div>
         )}
 
+        {screen === 'replay' && (
+          <ReplayViewer
+            match={match}
+            names={seatNames}
+            icon={pieceIcon}
+            onClose={() => setScreen('guess')}
+          />
+        )}
+
+        {screen === 'match-file' && importedMatch && (
+          <ReplayViewer
+            match={importedMatch.match}
+            names={importedMatch.names}
+            icon={importedMatch.match.rules.crates ? '📦' : '🧴'}
+            onClose={() => { setImportedMatch(null); setScreen('menu'); }}
+          />
+        )}
+
         {screen === 'guess' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '12px', borderRadius: '16px', position: 'relative' }}>
             {winner && (
@@ -1571,10 +3598,37 @@ export default function BottleshipApp() {
                   {mode === 'pass'
                     ? (winner === 1 ? `🎉 ${player1Name} Wins!` : `🎉 ${player2Name} Wins!`)
                     : mode === 'online'
-                      ? (winner === 'player' ? `🎉 ${playerName} Wins!` : `💀 ${opponentName} Wins!`)
+                      ? (winner === 'player' ? `🎉 ${seatNames.player} Win${teamSide ? '' : 's'}!` : `💀 ${seatNames[winner] || opponentName} Win${teamSide ? '' : 's'}!`)
                       : (winner === 'player' ? `🎉 ${playerName} Wins!` : '😢 AI Wins!')
                   }
                 </h2>
+                {mode === 'online' && onlineGameData?.series?.bestOf > 1 && (
+                  <p style={{ margin: '0 0 10px 0', fontSize: '15px', fontWeight: 700, color: '#fde68a' }}>
+                    {seriesWinner(onlineGameData)
+                      ? `🏆 ${seriesWinner(onlineGameData) === me ? 'You win' : `${sideName(onlineGameData, seriesWinner(onlineGameData))} win${teamSide ? '' : 's'}`} the series ${seriesLine(onlineGameData, me)}`
+                      : `Series ${seriesLine(onlineGameData, me)}`}
+                  </p>
+                )}
+                {mode === 'online' && onlineGameData?.forfeit && (
+                  <p style={{ margin: '0 0 6px 0', fontSize: '13px', fontWeight: 600, color: '#fde68a' }}>
+                    {onlineGameData.forfeit === seatRole ? '🏳️ You lost on disconnect' : `🏳️ ${nameOf(onlineGameData, onlineGameData.forfeit)} disconnected and forfeited`}
+                  </p>
+                )}
+                {mode === 'online' && onlineGameData?.timeout && (
+                  <p style={{ margin: '0 0 6px 0', fontSize: '13px', fontWeight: 600, color: '#fde68a' }}>
+                    {onlineGameData.timeout === me ? '⏰ You ran out of time' : `⏰ ${sideName(onlineGameData, onlineGameData.timeout)} ran out of time`}
+                  </p>
+                )}
+                {mode === 'online' && !onlineGameData?.forfeit && (
+                  <p style={{ margin: 0, fontSize: '13px', fontWeight: 600, color: revealStatus.mismatched.length ? '#fca5a5' : '#a7f3d0' }}>
+                    {revealStatus.text}
+                  </p>
+                )}
+                {mode === 'ai' && aiStyleUsed && (
+                  <p style={{ margin: 0, fontSize: '13px', fontWeight: 600, color: '#c7d2fe' }}>
+                    AI hiding style: {PLACEMENT_STYLES[aiStyleUsed].label}
+                  </p>
+                )}
                 <div style={{ marginTop: 20, display: 'flex', gap: '8px', flexDirection: 'column' }}>
                   <button
                     onClick={() => {
@@ -1585,14 +3639,28 @@ export default function BottleshipApp() {
                   >
                     Main Menu
                   </button>
-                  {/* Play Again Logic: Only Host sees button in Online Mode */}
-                  {mode === 'online' && !isHost ? (
+                  {/* Play Again Logic: online, every player has to ask for the rematch */}
+                  {mode === 'online' && onlineGameData?.rematch?.[seatRole] ? (
                     <div style={{ padding: '12px', borderRadius: '8px', background: 'rgba(255,255,255,0.2)', color: 'white', fontSize: '14px', fontStyle: 'italic' }}>
-                      ⏳ Waiting for Host to restart...
+                      ⏳ Waiting for {playersOf(onlineGameData).length > 2 ? 'everyone' : opponentName} to accept...
                     </div>
                   ) : (
                     <button onClick={handlePlayAgain} style={{ padding: '12px', borderRadius: '8px', background: '#10b981', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}>
-                      🔄 Play Again
+                      {mode !== 'online'
+                        ? '🔄 Play Again'
+                        : Object.keys(onlineGameData?.rematch || {}).some((r) => r !== seatRole)
+                          ? playersOf(onlineGameData).length > 2 ? '✅ Join the Rematch' : `✅ Accept ${opponentName}'s Rematch`
+                          : seriesWinner(onlineGameData) && onlineGameData.series?.bestOf > 1 ? '🔄 New Series' : '🔄 Rematch'}
+                    </button>
+                  )}
+                  {match.history.length > 0 && (
+                    <button onClick={() => downloadMatch(match, seatNames)} style={{ padding: '12px', borderRadius: '8px', background: 'rgba(255,255,255,0.15)', color: 'white', border: '1px solid rgba(255,255,255,0.4)', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}>
+                      💾 Export Match
+                    </button>
+                  )}
+                  {match.history.length > 0 && (
+                    <button onClick={() => setScreen('replay')} style={{ padding: '12px', borderRadius: '8px', background: 'rgba(255,255,255,0.15)', color: 'white', border: '1px solid rgba(255,255,255,0.4)', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}>
+                      🎬 Watch Replay
                     </button>
                   )}
                 </div>
@@ -1601,9 +3669,27 @@ export default function BottleshipApp() {
 
             <div style={{ marginBottom: '12px', textAlign: 'center' }}>
               <h3 style={{ margin: '0 0 4px 0', fontSize: 'clamp(16px, 4vw, 18px)', fontWeight: 700 }}>
-                {mode === 'online' ? 'Online Match' : mode === 'pass' ? `${player1Name} vs ${player2Name}` : `${playerName} VS AI`}
+                {mode === 'online' ? 'Online Match' : mode === 'pass' ? `${player1Name} vs ${player2Name}` : `${playerName} VS AI (${AI_LEVELS[aiLevel].label})`}
               </h3>
+              {mode === 'online' && onlineGameData?.series?.bestOf > 1 && (
+                <div style={{ marginBottom: '4px', color: '#3730a3', fontWeight: 700, fontSize: 'clamp(12px, 3vw, 14px)' }}>
+                  🏆 Game {onlineGameData.series.games} · Best of {onlineGameData.series.bestOf} · {isFreeForAll(onlineGameData)
+                    ? seriesLine(onlineGameData, me)
+                    : `${seatNames.player} ${seriesLine(onlineGameData, me)} ${opponentName}`}
+                </div>
+              )}
               <div style={{ color: '#6b7280', fontWeight: 600, fontSize: 'clamp(12px, 3vw, 14px)' }}>{message}</div>
+              {mode !== 'online' && (
+                <div style={{ marginTop: '6px', display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'center', fontSize: '12px', color: '#9ca3af' }}>
+                  <span>Seed: <code>{seed}</code></span>
+                  <button
+                    onClick={reportBug}
+                    style={{ padding: '2px 8px', borderRadius: '6px', background: '#f3f4f6', border: '1px solid #e5e7eb', cursor: 'pointer', fontSize: '12px', fontFamily: 'inherit' }}
+                  >
+                    🐞 Report Bug
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* --- NEW TURN INDICATOR LOGIC --- */}
@@ -1617,13 +3703,15 @@ export default function BottleshipApp() {
                   else theme = { color: '#f59e0b', text: `${player2Name}'s Turn`, icon: '👤', bg: '#fffbeb' }; // Player 2 Orange
                 } else {
                   // Online or AI Mode
+                  // In 2 vs 2 the banner names who shoots for the side on turn
+                  const shooterName = shooterNow && nameOf(onlineGameData, shooterNow);
                   if (currentTurn === 'player') {
-                    theme = { color: '#10b981', text: `${playerName}'s TURN`, icon: '🟢', bg: '#ecfdf5' };
+                    theme = { color: '#10b981', text: `${waitingOnTeammate ? shooterName : playerName}'s TURN`, icon: '🟢', bg: '#ecfdf5' };
                   } else {
                     theme = {
                       color: '#ef4444',
                       // Show "AI Thinking" or "Real Name's Turn"
-                      text: mode === 'ai' ? 'AI THINKING...' : `${opponentName}'s TURN`,
+                      text: mode === 'ai' ? 'AI THINKING...' : `${shooterName || seatNames[currentTurn] || opponentName}'s TURN`,
                       icon: '🛑',
                       bg: '#fef2f2'
                     };
@@ -1658,8 +3746,24 @@ export default function BottleshipApp() {
                     <span style={{ fontSize: 'clamp(18px, 5vw, 24px)', fontWeight: 800, textTransform: 'uppercase', letterSpacing: '0.5px' }}>
                       {theme.text}
                     </span>
+                    {clockRunning && (
+                      <span style={{ fontSize: 'clamp(16px, 4.5vw, 20px)', fontWeight: 800, fontVariantNumeric: 'tabular-nums' }}>
+                        ⏱ {formatClock(timeLeft(activeClock, activeClock.running, clockNow))}
+                      </span>
+                    )}
                   </div>
 
+                  {/* Chess clock: every bank */}
+                  {activeClock && clockOption(activeClock.id).kind === 'chess' && (
+                    <div style={{ marginTop: '8px', display: 'flex', justifyContent: 'center', gap: '16px', fontSize: '13px', fontWeight: 700, color: '#374151', fontVariantNumeric: 'tabular-nums' }}>
+                      {match.seats.map((seat) => (
+                        <span key={seat} style={{ opacity: activeClock.running === clockSeat(seat) ? 1 : 0.5 }}>
+                          {seatNames[seat]} {formatClock(timeLeft(activeClock, clockSeat(seat), clockNow))}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Small Status Message (Hit/Miss feedback) */}
                   <div style={{
                     marginTop: '8px',
@@ -1685,19 +3789,73 @@ export default function BottleshipApp() {
               );
             })()}
 
+            {match.rules.arsenal && !winner && (
+              <ArsenalBar
+                left={abilitiesLeft(match, viewerSeat)}
+                armed={armed}
+                onArm={setArmed}
+                disabled={match.turn !== viewerSeat || waitingOnTeammate || (mode === 'online' && Boolean(onlineGameData?.pendingShot))}
+              />
+            )}
+
+            {match.rules.movable && !winner && (
+              <MoveControl
+                turnsLeft={turnsUntilMove(match, viewerSeat)}
+                armed={armed}
+                onArm={setArmed}
+                disabled={match.turn !== viewerSeat || waitingOnTeammate || (mode === 'online' && Boolean(onlineGameData?.pendingShot))}
+              />
+            )}
+
+            {match.rules.salvo && !winner && (
+              <SalvoBar
+                queued={salvoQueue}
+                size={salvoSize(match, viewerSeat, aim)}
+                onFire={fireSalvo}
+                onClear={() => setSalvoQueue([])}
+                disabled={match.turn !== viewerSeat || waitingOnTeammate || (mode === 'online' && Boolean(onlineGameData?.pendingShot))}
+              />
+            )}
+
+            {aim && (
+              <TargetPicker
+                match={match}
+                names={seatNames}
+                selected={targetSeat}
+                icon={pieceIcon}
+                onPick={(seat) => {
+                  if (seat === targetSeat) return;
+                  setAimAt(seat);
+                  setSalvoQueue([]);
+                  setArmed(null);
+                }}
+              />
+            )}
+
             <div style={{ display: 'grid', gridTemplateColumns: window.innerWidth >= 640 ? '1fr 0fr 1fr' : '1fr', gap: '16px', maxWidth: '800px', margin: '0 auto' }}>
               <div>
                 <h4 style={{ margin: '0 0 8px 0', fontSize: 'clamp(13px, 3.5vw, 14px)', fontWeight: 700, textAlign: 'center', color: '#0ea5e9' }}>
-                  🎯 Opponent's Board
-                  {mode === 'online' && currentTurn === 'player' && ' (Tap to Attack)'}
+                  🎯 {aim ? `${seatNames[targetSeat]}'s Board` : "Opponent's Board"}
+                  {pinging ? ' (Tap to Suggest)' : mode === 'online' && currentTurn === 'player' && ' (Tap to Attack)'}
                 </h4>
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px' }}>
-                  {ALL_CELLS.map((c, i) => {
-                    const state = (mode === 'pass' && activePlayer === 2) ? opponentGrid[i] : playerGrid[i]; return (
+                {match.rules.movable && movedLastTurn(match, targetSeat) && (
+                  <p style={{ margin: '0 0 8px 0', textAlign: 'center', fontSize: '12px', fontWeight: 700, color: '#b45309' }}>
+                    🔀 A bottle moved! Faded misses may be out of date
+                  </p>
+                )}
+                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${variant.size}, 1fr)`, gap: '6px' }}>
+                  {cells.map((c, i) => {
+                    const state = targetGrid[i];
+                    const sunk = sunkTarget.includes(c);
+                    const scan = !state && scanned.includes(c);
+                    const queued = salvoQueue.includes(c);
+                    const stale = !state && match.boards[targetSeat].stale.includes(c);
+                    const pinged = !state && c === ping;
+                    return (
                       <button
                         key={c}
                         onClick={() => playerGuess(c)}
-                        disabled={winner || (mode === 'online' && currentTurn !== 'player')}
+                        disabled={winner || targetLocked}
                         style={{
                           width: '100%',
                           aspectRatio: '1',
@@ -1710,19 +3868,19 @@ export default function BottleshipApp() {
                           fontSize: state ? '20px' : '12px',
                           boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
                           transition: 'transform 0.1s, background 0.2s',
-                          border: 'none',
-                          cursor: winner || (mode === 'online' && currentTurn !== 'player') ? 'default' : 'pointer',
-                          background: state === 'hit' ? '#10b981' : state === 'miss' ? '#e5e7eb' : '#ffffff',
+                          border: scan ? '2px dashed #6366f1' : pinged ? '2px solid #f59e0b' : 'none',
+                          cursor: winner || targetLocked ? 'default' : 'pointer',
+                          background: sunk ? '#047857' : state === 'hit' ? '#10b981' : state === 'miss' ? '#e5e7eb' : queued ? '#fef3c7' : '#ffffff',
                           color: state === 'hit' ? '#ffffff' : state === 'miss' ? '#6b7280' : '#1f2937',
                           fontFamily: 'inherit',
-                          opacity: (mode === 'online' && currentTurn !== 'player') ? 0.7 : 1
+                          opacity: targetLocked ? 0.7 : 1
                         }}
                         onMouseDown={(e) => !winner && (e.currentTarget.style.transform = 'scale(0.95)')}
                         onMouseUp={(e) => (e.currentTarget.style.transform = 'scale(1)')}
                         onMouseLeave={(e) => (e.currentTarget.style.transform = 'scale(1)')}
                       >
                         <span style={{ display: 'inline-block', animation: state ? 'popIn 0.3s' : 'none' }}>
-                          {state === "hit" ? '💥' : state === "miss" ? '⭕' : c}
+                          {sunk ? '☠️' : state === "hit" ? '💥' : state === "miss" ? '⭕' : queued ? '🎯' : pinged ? '📍' : stale ? <span style={{ opacity: 0.35 }}>⭕</span> : c}
                         </span>
                       </button>
                     );
@@ -1747,14 +3905,21 @@ export default function BottleshipApp() {
               )}
 
               <div>
-                <h4 style={{ margin: '0 0 8px 0', fontSize: 'clamp(13px, 3.5vw, 14px)', fontWeight: 700, textAlign: 'center', color: '#10b981' }}>🛡️ Your Board</h4>                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px' }}>
-                  {ALL_CELLS.map((c, i) => {
-                    const state = (mode === 'pass' && activePlayer === 2) ? playerGrid[i] : opponentGrid[i];
+                <h4 style={{ margin: '0 0 8px 0', fontSize: 'clamp(13px, 3.5vw, 14px)', fontWeight: 700, textAlign: 'center', color: '#10b981' }}>🛡️ Your Board</h4>                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${variant.size}, 1fr)`, gap: '6px' }}>
+                  {cells.map((c, i) => {
+                    const state = ownGrid[i];
                     const hasBottle = (mode === 'pass' && activePlayer === 2) ? opponentBottles.includes(c) : playerBottles.includes(c);
+                    const sunk = sunkOwn.includes(c);
+                    const shielded = match.boards[viewerSeat].shield === c;
+                    const stale = !state && match.boards[viewerSeat].stale.includes(c);
+                    const picked = armed?.ability === 'move' && armed.from === c;
                     return (
                       <div
                         key={c}
+                        onClick={() => ownBoardTap(c)}
                         style={{
+                          cursor: (armed?.ability === 'shield' || armed?.ability === 'move') && !state ? 'pointer' : 'default',
+                          outline: shielded ? '3px solid #0ea5e9' : picked ? '3px solid #4f46e5' : 'none',
                           width: '100%',
                           aspectRatio: '1',
                           padding: 0,
@@ -1765,13 +3930,13 @@ export default function BottleshipApp() {
                           fontWeight: 700,
                           fontSize: state ? '20px' : hasBottle ? '20px' : '12px',
                           boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                          background: state === 'hit' ? '#ef4444' : state === 'miss' ? '#e5e7eb' : '#ffffff',
+                          background: sunk ? '#991b1b' : state === 'hit' ? '#ef4444' : state === 'miss' ? '#e5e7eb' : '#ffffff',
                           color: state === 'hit' ? '#ffffff' : state === 'miss' ? '#6b7280' : '#1f2937',
                           fontFamily: 'inherit'
                         }}
                       >
                         <span style={{ display: 'inline-block', animation: state ? 'popIn 0.3s' : 'none' }}>
-                          {state === "hit" ? '💥' : state === "miss" ? '⭕' : hasBottle ? '🧴' : c}
+                          {sunk ? '☠️' : state === "hit" ? '💥' : state === "miss" ? '⭕' : shielded ? '🛡️' : hasBottle ? pieceIcon : stale ? <span style={{ opacity: 0.35 }}>⭕</span> : c}
                         </span>
                       </div>
                     );
@@ -1790,6 +3955,8 @@ export default function BottleshipApp() {
                 Exit
               </button>
             </div>
+            {mode === 'online' && chatPanel}
+            {teamChatPanel}
             <style>{`
               @keyframes popIn {
                 0% { transform: scale(0.5); opacity: 0; }
@@ -1856,6 +4023,18 @@ export default function BottleshipApp() {
                     display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px',
                     animation: 'emoteSlideUp 0.2s ease-out'
                   }}>
+                    {teamSide && (
+                      <button
+                        onClick={() => setEmoteToTeam(!emoteToTeam)}
+                        style={{
+                          gridColumn: '1 / -1', padding: '8px 12px', borderRadius: '8px',
+                          border: '1px solid #e5e7eb', background: emoteToTeam ? '#ecfdf5' : '#f9fafb',
+                          cursor: 'pointer', fontWeight: 700, fontSize: '13px', color: '#374151'
+                        }}
+                      >
+                        {emoteToTeam ? '🤝 To your team only' : '📣 To everyone'}
+                      </button>
+                    )}
                     {EMOTES.map((msg) => (
                       <button
                         key={msg}
@@ -1890,6 +4069,19 @@ export default function BottleshipApp() {
           </div>
         )}
 
+        {screen === 'spectate' && (
+          <SpectatorView
+            room={onlineGameData}
+            code={roomCode}
+            emotes={EMOTES}
+            activeEmote={activeEmote}
+            onEmote={sendEmote}
+            onLeave={stopWatching}
+          >
+            {chatPanel}
+          </SpectatorView>
+        )}
+
         {screen === 'online-setup' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '20px', borderRadius: '16px', maxWidth: '500px', margin: '0 auto' }}>
             <h3 style={{ fontSize: 'clamp(18px, 5vw, 22px)', fontWeight: 700, marginBottom: '12px', textAlign: 'center' }}>🌐 Play Online</h3>
@@ -1901,7 +4093,7 @@ export default function BottleshipApp() {
               <h4 style={{ fontSize: '15px', margin: '0 0 6px 0', fontWeight: 700 }}>Create Room</h4>
               <p style={{ margin: '0 0 10px 0', fontSize: '13px', color: '#6b7280' }}>Get a code to share</p>
               <button
-                onClick={createRoom}
+                onClick={() => createRoom(playerCount)}
                 style={{ padding: '12px', borderRadius: '8px', background: 'linear-gradient(90deg,#fb923c,#ef4444)', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', width: '100%', fontWeight: 600, fontFamily: 'inherit' }}
               >
                 Create 🎮
@@ -1910,26 +4102,45 @@ export default function BottleshipApp() {
 
             <div style={{ textAlign: 'center', margin: '12px 0', color: '#9ca3af', fontWeight: 600, fontSize: '14px' }}>OR</div>
 
+            <div style={{ background: '#f3f4f6', padding: '14px', borderRadius: '12px', marginBottom: '12px' }}>
+              <h4 style={{ fontSize: '15px', margin: '0 0 6px 0', fontWeight: 700 }}>Quick Match</h4>
+              <p style={{ margin: '0 0 10px 0', fontSize: '13px', color: '#6b7280' }}>Play anyone with the same board, rules and clock</p>
+              <button
+                onClick={findOpponent}
+                style={{ padding: '12px', borderRadius: '8px', background: 'linear-gradient(90deg,#6366f1,#8b5cf6)', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', width: '100%', fontWeight: 600, fontFamily: 'inherit' }}
+              >
+                Find Opponent 🔎
+              </button>
+            </div>
+
+            <div style={{ textAlign: 'center', margin: '12px 0', color: '#9ca3af', fontWeight: 600, fontSize: '14px' }}>OR</div>
+
             <div style={{ background: '#f3f4f6', padding: '14px', borderRadius: '12px', marginBottom: '12px' }}>
               <h4 style={{ fontSize: '15px', margin: '0 0 6px 0', fontWeight: 700 }}>Join Room</h4>
               <p style={{ margin: '0 0 10px 0', fontSize: '13px', color: '#6b7280' }}>Enter friend's code</p>
               <input
                 type="text"
                 value={joinRoomInput}
-                onChange={(e) => setJoinRoomInput(e.target.value.toUpperCase())}
-                placeholder="ABC123"
-                maxLength={6}
+                onChange={(e) => setJoinRoomInput(normalizeRoomCode(e.target.value))}
+                placeholder="ABC234"
+                maxLength={CODE_LENGTH}
                 style={{ width: '100%', padding: '12px', borderRadius: '8px', border: '2px solid #e5e7eb', fontSize: '16px', marginBottom: '10px', textAlign: 'center', letterSpacing: '2px', fontWeight: 600, boxSizing: 'border-box', fontFamily: 'inherit' }}
                 onKeyPress={(e) => {
                   if (e.key === 'Enter') joinRoom();
                 }}
               />
               <button
-                onClick={joinRoom}
+                onClick={() => joinRoom()}
                 style={{ padding: '12px', borderRadius: '8px', background: '#10b981', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', width: '100%', fontWeight: 600, fontFamily: 'inherit' }}
               >
                 Join 🚪
               </button>
+              <button
+                onClick={() => watchRoom()}
+                style={{ marginTop: '8px', padding: '10px', borderRadius: '8px', background: '#e0e7ff', color: '#3730a3', border: 'none', cursor: 'pointer', fontSize: '14px', width: '100%', fontWeight: 600, fontFamily: 'inherit' }}
+              >
+                👀 Watch as Spectator
+              </button>
             </div>
 
             <button
@@ -1941,11 +4152,62 @@ export default function BottleshipApp() {
           </div>
         )}
 
+        {screen === 'matchmaking' && (
+          <div style={{ background: 'rgba(255,255,255,0.95)', padding: '20px', borderRadius: '16px', maxWidth: '500px', margin: '0 auto', textAlign: 'center' }}>
+            {queueState === 'timeout' ? (
+              <>
+                <div style={{ fontSize: '40px', marginBottom: '8px' }}>😴</div>
+                <h3 style={{ fontSize: '20px', fontWeight: 700, margin: '0 0 8px 0' }}>No one's around right now</h3>
+                <p style={{ color: '#6b7280', fontSize: '14px', margin: '0 0 16px 0' }}>Play the AI with the same settings, or keep looking.</p>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                  <button
+                    onClick={() => { setQueueState(null); setMode('ai'); setScreen('name-input-ai'); }}
+                    style={{ padding: '12px', borderRadius: '8px', background: 'linear-gradient(90deg,#6366f1,#8b5cf6)', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+                  >
+                    🤖 Play the AI instead
+                  </button>
+                  <button
+                    onClick={findOpponent}
+                    style={{ padding: '12px', borderRadius: '8px', background: '#10b981', color: 'white', border: 'none', cursor: 'pointer', fontSize: '15px', fontWeight: 600, fontFamily: 'inherit' }}
+                  >
+                    🔁 Keep looking
+                  </button>
+                  <button
+                    onClick={cancelMatchmaking}
+                    style={{ padding: '10px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+                  >
+                    Back
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div style={{ fontSize: '40px', marginBottom: '8px', animation: 'pulse-subtle 2s infinite' }}>🔎</div>
+                <h3 style={{ fontSize: '20px', fontWeight: 700, margin: '0 0 8px 0' }}>Looking for an opponent...</h3>
+                <p style={{ color: '#6b7280', fontSize: '14px', margin: '0 0 16px 0' }}>
+                  {variant.label} · {rules.crates ? '📦 Crates' : 'Bottles'} · {clockOption(clockId).label}
+                </p>
+                <button
+                  onClick={cancelMatchmaking}
+                  style={{ padding: '10px', borderRadius: '8px', background: '#e5e7eb', border: 'none', cursor: 'pointer', width: '100%', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+                >
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
         {screen === 'online-waiting' && (
           <div style={{ background: 'rgba(255,255,255,0.95)', padding: '20px', borderRadius: '16px', maxWidth: '500px', margin: '0 auto' }}>
-            <h3 style={{ fontSize: 'clamp(18px, 5vw, 22px)', fontWeight: 700, marginBottom: '12px', textAlign: 'center', color: onlineGameData?.guest ? '#10b981' : '#3730a3' }}>
-              {onlineGameData?.guest ? '✅ Opponent Joined!' : '⏳ Waiting...'}
+            <h3 style={{ fontSize: 'clamp(18px, 5vw, 22px)', fontWeight: 700, marginBottom: '12px', textAlign: 'center', color: allJoined ? '#10b981' : '#3730a3' }}>
+              {allJoined ? (playersOf(onlineGameData).length > 2 ? "✅ Everyone's In!" : '✅ Opponent Joined!') : '⏳ Waiting...'}
             </h3>
+            {isTeamRoom(onlineGameData) && (
+              <p style={{ margin: '0 0 12px 0', textAlign: 'center', fontSize: '14px', fontWeight: 600, color: '#374151' }}>
+                🤝 {sideName(onlineGameData, 'host')} vs {sideName(onlineGameData, 'guest')}
+              </p>
+            )}
 
             <div style={{ background: '#f3f4f6', padding: '14px', borderRadius: '12px', marginBottom: '12px' }}>
               <p style={{ margin: '0 0 6px 0', fontWeight: 600, color: '#374151', fontSize: '13px' }}>Room Code:</p>
@@ -1954,25 +4216,39 @@ export default function BottleshipApp() {
               </div>
             </div>
 
-            {!onlineGameData?.guest && (
+            {!allJoined && (
               <>
                 <div style={{ background: '#fef3c7', padding: '14px', borderRadius: '12px', marginBottom: '12px' }}>
                   <p style={{ margin: '0 0 6px 0', fontSize: '13px', color: '#92400e', fontWeight: 600 }}>
                     📋 Share: <strong>{roomCode}</strong>
                   </p>
-                  <button
-                    onClick={() => {
-                      navigator.clipboard.writeText(roomCode);
-                      alert('Copied!');
-                    }}
-                    style={{ padding: '10px', borderRadius: '8px', background: '#fbbf24', color: 'white', border: 'none', cursor: 'pointer', width: '100%', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
-                  >
-                    📋 Copy Code
-                  </button>
+                  <InviteQRCode url={inviteUrl(roomCode)} />
+                  <p style={{ margin: '0 0 10px 0', fontSize: '12px', color: '#92400e', textAlign: 'center' }}>Scan to join from a phone</p>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button
+                      onClick={() => {
+                        navigator.clipboard.writeText(roomCode);
+                        alert('Copied!');
+                      }}
+                      style={{ flex: 1, padding: '10px', borderRadius: '8px', background: '#fbbf24', color: 'white', border: 'none', cursor: 'pointer', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+                    >
+                      📋 Copy Code
+                    </button>
+                    <button
+                      onClick={shareInvite}
+                      style={{ flex: 1, padding: '10px', borderRadius: '8px', background: '#f59e0b', color: 'white', border: 'none', cursor: 'pointer', fontSize: '14px', fontWeight: 600, fontFamily: 'inherit' }}
+                    >
+                      {navigator.share ? '📤 Share Invite' : '🔗 Copy Link'}
+                    </button>
+                  </div>
                 </div>
                 <div style={{ textAlign: 'center', padding: '16px' }}>
                   <div style={{ fontSize: '48px', marginBottom: '8px' }}>⏳</div>
-                  <p style={{ color: '#6b7280', margin: 0, fontSize: '14px' }}>Waiting for opponent...</p>
+                  <p style={{ color: '#6b7280', margin: 0, fontSize: '14px' }}>
+                    {playersOf(onlineGameData).length > 2
+                      ? `Waiting for players... (${seatsTaken(onlineGameData)}/${playersOf(onlineGameData).length})`
+                      : 'Waiting for opponent...'}
+                  </p>
                 </div>
               </>
             )}
@@ -1981,8 +4257,7 @@ export default function BottleshipApp() {
               onClick={async () => {
                 // If we cancel while waiting, we should probably just destroy/abandon the room so it doesn't stay open
                 if (roomCode) {
-                  const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'bottleship', roomCode);
-                  await updateDoc(gameRef, { status: 'abandoned' });
+                  await rooms.leave(roomCode, seatRole);
                 }
                 resetAll();
                 setScreen('menu');
@@ -0,0 +1,87 @@
+// --- Room Chat ---
+// Free-text messages, stored one document each under the room (see
+// room_transport.js), so quick messages never overwrite each other the way
+// `lastEmote` does:
+//
+//   { uid, from: "host" | "guest" | "spectator", name, text, at }
+//
+// Everything here is pure: filtering, the send limits and muting. The host can
+// turn chat off for the room with `chatEnabled: false` in the room document.
+//
+// In 2 vs 2 each side also has a team channel only its two players can read.
+// Besides text it carries team emotes and pings, a teammate's suggested shot:
+//
+//   { uid, from, name, text, at, emote: true }
+//   { uid, from, name, text: "📍 C4", at, ping: "C4" }
+//
+// The host's chat switch only covers the room chat, not team channels.
+
+// Shared with emotes: one message or emote per cooldown
+export const COOLDOWN_MS = 2000;
+// ...and at most BURST_LIMIT of them in any BURST_WINDOW_MS
+const BURST_LIMIT = 5;
+const BURST_WINDOW_MS = 30000;
+
+export const MAX_MESSAGE_LENGTH = 200;
+export const CHAT_HISTORY = 100;
+
+// Matched as whole words after undoing common letter swaps ("sh1t", "f@ck")
+// and squeezing repeats ("fuuuck"), so the list can stay short.
+const BLOCKED_WORDS = [
+  "arse", "arsehole", "ass", "asshole", "bastard", "bitch", "bollocks", "bullshit", "cunt", "dickhead",
+  "fuck", "fucker", "fucking", "motherfucker", "piss", "prick", "pussy", "shit", "shitty", "slut",
+  "twat", "wanker", "whore",
+];
+const LOOKALIKES = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s", "!": "i" };
+const squeeze = (word) => word.replace(/(.)\1+/g, "$1");
+const BLOCKED = new Set(BLOCKED_WORDS);
+const BLOCKED_SQUEEZED = new Set(BLOCKED_WORDS.map(squeeze));
+
+// Squeezed forms only count when the word really had repeats, or "ass" would block "as".
+function isBlocked(word) {
+  const plain = [...word.toLowerCase()].map((c) => LOOKALIKES[c] || c).join("");
+  const squeezed = squeeze(plain);
+  return BLOCKED.has(plain) || (squeezed !== plain && BLOCKED_SQUEEZED.has(squeezed));
+}
+
+// Blocked words keep their first letter, the rest becomes asterisks.
+export function filterProfanity(text) {
+  return text.replace(/[\p{L}\p{N}@$]+(?:!+[\p{L}\p{N}@$]+)*/gu, (word) =>
+    isBlocked(word) ? word[0] + "*".repeat(word.length - 1) : word);
+}
+
+// Trimmed, length-capped and filtered message, or null if there's nothing to send.
+export function createMessage({ uid, from, name, text, at = Date.now() }) {
+  const clean = filterProfanity(String(text || "").trim().slice(0, MAX_MESSAGE_LENGTH));
+  return clean ? { uid, from, name, text: clean, at } : null;
+}
+
+export const createTeamEmote = ({ uid, from, name, text, at = Date.now() }) => ({ uid, from, name, text, at, emote: true });
+
+export const createPing = ({ uid, from, name, cell, at = Date.now() }) => ({ uid, from, name, text: `📍 ${cell}`, at, ping: cell });
+
+// The cell of the latest ping, unless it has been fired at since (`shots` is
+// the target board's shots).
+export function activePing(messages, shots) {
+  const cell = messages.findLast((m) => m.ping)?.ping;
+  return cell && !shots[cell] ? cell : null;
+}
+
+// Milliseconds until another message may be sent (0 = now), given the times
+// of this player's recent messages.
+export function sendWait(sentAt, now) {
+  const last = sentAt[sentAt.length - 1];
+  const cooldown = last != null ? last + COOLDOWN_MS - now : 0;
+  const recent = sentAt.filter((t) => now - t < BURST_WINDOW_MS);
+  const burst = recent.length >= BURST_LIMIT ? recent[recent.length - BURST_LIMIT] + BURST_WINDOW_MS - now : 0;
+  return Math.max(0, cooldown, burst);
+}
+
+// Keeps the timestamps sendWait needs and nothing older.
+export const recordSend = (sentAt, now) => [...sentAt.filter((t) => now - t < BURST_WINDOW_MS), now];
+
+export const toggleMute = (muted, uid) => (muted.includes(uid) ? muted.filter((u) => u !== uid) : [...muted, uid]);
+
+export const visibleMessages = (messages, muted) => messages.filter((m) => !muted.includes(m.uid));
+
+export const chatEnabled = (room) => room?.chatEnabled !== false;
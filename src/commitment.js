@@ -0,0 +1,64 @@
+// --- Layout Commit / Reveal ---
+// Online players never publish their layout. At setup each client posts a
+// SHA-256 commitment of (salt + layout); the layout itself stays in a private
+// document only its owner can read. Shots are resolved by the defender, and
+// when the game ends both sides reveal { bottles, salt } so the other client
+// can check every result it was told against the committed layout.
+// With the Arsenal ruleset the reveal also names the shield cell, so sonar
+// counts and blocked shots can be checked too. With movable bottles the
+// commitment stays on the starting layout and the secret lists every move
+// made since, in order: { bottles, salt, shield?, moves?: [{ from, to }] }.
+
+import { isValidLayout, sonarArea, shiftPiece, relocatedLayout } from './game_engine.js';
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
+
+const layoutKey = (bottles) => [...bottles].sort().join(',');
+
+export async function hashLayout(bottles, salt) {
+  const data = new TextEncoder().encode(`${salt}:${layoutKey(bottles)}`);
+  return toHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+// Returns the secret to keep privately and the hash to publish.
+export async function commitLayout(bottles) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { secret: { bottles: [...bottles], salt }, commit: await hashLayout(bottles, salt) };
+}
+
+// The layout a secret stands at now, after its moves
+export const currentLayout = (secret, variant, rules) =>
+  (secret.moves || []).reduce((bottles, m) => shiftPiece(bottles, m.from, m.to, variant, rules), secret.bottles);
+
+// True when the revealed layout matches the commitment, is a legal layout
+// and agrees with everything its owner reported during the game.
+// `entries` is the game log as we saw it, in order: every shot and sonar ping
+// at their board ({ result, cell, count? }), ours and in free-for-all
+// everyone else's, and their moves ({ result: "moved" }), which the reveal's
+// `moves` are replayed against one by one.
+export async function verifyReveal({ commit, reveal, entries, variant, rules }) {
+  if (!commit || !reveal || !Array.isArray(reveal.bottles)) return false;
+  if ((await hashLayout(reveal.bottles, reveal.salt)) !== commit) return false;
+  if (!isValidLayout(reveal.bottles, variant, rules)) return false;
+  const moves = reveal.moves || [];
+  let bottles = reveal.bottles;
+  let shots = {}; // live shots at their board, as in the engine
+  let moved = 0;
+  for (const e of entries) {
+    if (e.result === 'moved') {
+      const move = moves[moved++];
+      bottles = move && relocatedLayout(bottles, move.from, move.to, shots, variant, rules);
+      if (!bottles) return false;
+      shots = Object.fromEntries(Object.entries(shots).filter(([, r]) => r !== 'miss'));
+    } else if (e.result === 'sonar') {
+      if (sonarArea(e.cell, variant).filter((c) => bottles.includes(c)).length !== e.count) return false;
+    } else if (e.result === 'blocked') {
+      if (e.cell !== reveal.shield) return false;
+    } else {
+      if ((e.result === 'hit') !== bottles.includes(e.cell)) return false;
+      shots = { ...shots, [e.cell]: e.result };
+    }
+  }
+  return moved === moves.length;
+}
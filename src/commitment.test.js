@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { commitLayout, hashLayout, verifyReveal } from "./commitment.js";
+import { VARIANTS, DEFAULT_RULES } from "./game_engine.js";
+
+const variant = VARIANTS.classic;
+const rules = DEFAULT_RULES;
+const LAYOUT = ["A1", "B2", "C3", "D4"];
+const entries = [{ result: "hit", cell: "A1" }, { result: "miss", cell: "A2" }];
+
+describe("verifyReveal", () => {
+  it("accepts the committed layout when it agrees with every result", async () => {
+    const { secret, commit } = await commitLayout(LAYOUT);
+    expect(await verifyReveal({ commit, reveal: secret, entries, variant, rules })).toBe(true);
+  });
+
+  it("rejects a layout that doesn't match the commitment", async () => {
+    const { secret, commit } = await commitLayout(LAYOUT);
+    const swapped = { ...secret, bottles: ["A1", "B2", "C3", "D3"] };
+    expect(await verifyReveal({ commit, reveal: swapped, entries, variant, rules })).toBe(false);
+    expect(await verifyReveal({ commit, reveal: { ...secret, salt: "other" }, entries, variant, rules })).toBe(false);
+  });
+
+  it("rejects a committed layout that contradicts a reported result", async () => {
+    const salt = "salt";
+    const commit = await hashLayout(LAYOUT, salt);
+    const lied = [{ result: "miss", cell: "A1" }];
+    expect(await verifyReveal({ commit, reveal: { bottles: LAYOUT, salt }, entries: lied, variant, rules })).toBe(false);
+  });
+});
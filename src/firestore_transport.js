@@ -0,0 +1,87 @@
+// --- Firestore Room Transport ---
+// Rooms are documents under artifacts/{appId}/public/data/{collection}/{code};
+// each player's layout is in .../{code}/private/{role}, chat messages in
+// .../{code}/chat/{id} and 2 vs 2 team messages in .../{code}/teams/{side}/chat/{id}
+// (see firestore.rules).
+// The matchmaking queue uses the same transport on another collection.
+
+import {
+  doc, collection as collectionRef, setDoc, updateDoc, getDoc, getDocs, addDoc, deleteDoc, onSnapshot, runTransaction,
+  query, where, orderBy, limit, limitToLast,
+} from "firebase/firestore";
+import { withRoomOps } from './room_transport.js';
+import { CHAT_HISTORY } from './chat.js';
+import { ROLES } from './room_players.js';
+
+export function createFirestoreTransport(db, appId, collection = 'bottleship') {
+  const roomRef = (code) => doc(db, 'artifacts', appId, 'public', 'data', collection, code);
+  const privateRef = (code, role) => doc(db, 'artifacts', appId, 'public', 'data', collection, code, 'private', role);
+  const roomsRef = collectionRef(db, 'artifacts', appId, 'public', 'data', collection);
+  const chatRef = (code, team = null) => (team
+    ? collectionRef(db, 'artifacts', appId, 'public', 'data', collection, code, 'teams', team, 'chat')
+    : collectionRef(db, 'artifacts', appId, 'public', 'data', collection, code, 'chat'));
+
+  return withRoomOps({
+    kind: 'firestore',
+
+    create: (code, data) => setDoc(roomRef(code), data),
+
+    async get(code) {
+      const snap = await getDoc(roomRef(code));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    update: (code, fields) => updateDoc(roomRef(code), fields),
+
+    // Firestore retries the callback if the room changes underneath it
+    atomic: (code, change) => runTransaction(db, async (tx) => {
+      const snap = await tx.get(roomRef(code));
+      const fields = change(snap.exists() ? snap.data() : null);
+      if (fields && snap.exists()) tx.update(roomRef(code), fields);
+      else if (fields) tx.set(roomRef(code), fields);
+      return fields;
+    }),
+
+    subscribe: (code, onData, onError) =>
+      onSnapshot(roomRef(code), (snap) => onData(snap.exists() ? snap.data() : null), onError),
+
+    savePrivate: (code, role, data) => setDoc(privateRef(code, role), data),
+
+    async loadPrivate(code, role) {
+      const snap = await getDoc(privateRef(code, role));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    // Subcollections outlive their parent, so the layouts and chat are deleted
+    // too. The rules only let a non-owner do that once the room itself is gone.
+    async remove(code) {
+      await deleteDoc(roomRef(code));
+      const chats = await Promise.allSettled([null, ...ROLES].map((team) => getDocs(chatRef(code, team))));
+      await Promise.allSettled([
+        ...ROLES.map((role) => deleteDoc(privateRef(code, role))),
+        ...chats.flatMap((chat) => (chat.value ? chat.value.docs.map((d) => deleteDoc(d.ref)) : [])),
+      ]);
+    },
+
+    addMessage: (code, message, team = null) => addDoc(chatRef(code, team), message),
+
+    subscribeMessages: (code, onMessages, onError, team = null) =>
+      onSnapshot(
+        query(chatRef(code, team), orderBy('at'), limitToLast(CHAT_HISTORY)),
+        (snap) => onMessages(snap.docs.map((d) => d.data())),
+        onError,
+      ),
+
+    async listCreatedBefore(time, max) {
+      const snap = await getDocs(query(roomsRef, where('created', '<', time), limit(max)));
+      return snap.docs.map((d) => ({ code: d.id, data: d.data() }));
+    },
+
+    // With `statuses` this needs the (status, updatedAt) index in firestore.indexes.json
+    async listIdleBefore(time, max, statuses = null) {
+      const byStatus = statuses ? [where('status', 'in', statuses)] : [];
+      const snap = await getDocs(query(roomsRef, ...byStatus, where('updatedAt', '<', time), orderBy('updatedAt'), limit(max)));
+      return snap.docs.map((d) => ({ code: d.id, data: d.data() }));
+    },
+  });
+}
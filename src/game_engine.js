@@ -0,0 +1,693 @@
+// --- Bottleship Game Engine ---
+// Pure match rules shared by every mode (AI, Pass & Play, Online).
+// No React and no Firebase in here: a match is plain data and every change
+// goes through matchReducer, so the rules live in exactly one place.
+//
+// Match state:
+// {
+//   variant: { id, size, bottles, crates },  // board size and fleet
+//   rules:   { crates, arsenal, salvo, movable },   // optional rulesets
+//   seed:    string | null,                   // PRNG seed the game was played with
+//   seats:   ["player", "opponent"],          // who is playing, in turn order (2 to 4 seats)
+//   boards:  { [seat]: { bottles: [cell], shots: { [cell]: "hit" | "miss" }, sunk: [cell], shield, stale: [cell] } },
+//   arsenal: { [seat]: { sonar, strike, shield } } | null,   // abilities left (Arsenal only)
+//   turn:    seat,                            // whose shot it is
+//   out:     [seat],                          // seats knocked out, in order
+//   winner:  seat | null,
+//   history: [{ shooter, target, cell, result, at, sunk?, count?, volley?, ability? }]   // in shot order
+//   resigned: [{ seat, after }],             // resignations (forfeits, timeouts), `after` that many history entries
+// }
+// `boards[seat].shots` are the shots fired AT that seat's bottles.
+// With two seats every shot goes at the other one. With more (free-for-all)
+// each shot names its `target`; a seat whose bottles are all found is out,
+// the turn skips it, and the last seat standing wins.
+// `boards[seat].bottles` is always a flat list of occupied cells, even when
+// the crates ruleset groups them into multi-cell pieces. It is empty for an
+// online opponent whose layout we are not allowed to see; their results then
+// arrive through `recordShot` and `sunk` holds the sunk cells they reported.
+// `shield` is the shielded cell, `true` when a shield is up somewhere we may
+// not know, or null. `stale` holds misses made before a bottle moved (see
+// Movable bottles): they no longer count as shots and may be fired at again.
+//
+// A history entry's `result` is "hit", "miss", "blocked" (absorbed by a
+// shield, the cell stays untried), "sonar" (with `count`) or "moved" (the
+// shooter moved one of its own pieces; `target` is the shooter itself,
+// `from` and `cell` say where from and to when known, `stale` lists the
+// misses it made stale). Shots fired together share `volley`, the history
+// index of the first of them.
+
+// --- Variants ---
+// Cells are named column letter + row number ("A1" ... "H8"), row-major by
+// column exactly like the original 4x4 board, so classic rooms stay readable.
+export const VARIANTS = {
+  classic: { id: "classic", label: "4x4 · 4 bottles", size: 4, bottles: 4, crates: [3, 2] },
+  medium: { id: "medium", label: "5x5 · 5 bottles", size: 5, bottles: 5, crates: [3, 2, 2] },
+  large: { id: "large", label: "6x6 · 6 bottles", size: 6, bottles: 6, crates: [3, 3, 2, 2] },
+  huge: { id: "huge", label: "8x8 · 8 bottles", size: 8, bottles: 8, crates: [3, 3, 3, 2, 2, 2] },
+};
+export const DEFAULT_VARIANT = VARIANTS.classic;
+export const variantById = (id) => VARIANTS[id] || DEFAULT_VARIANT;
+
+const colLetter = (i) => String.fromCharCode(65 + i);
+export const colsFor = (variant) => Array.from({ length: variant.size }, (_, i) => colLetter(i));
+export const rowsFor = (variant) => Array.from({ length: variant.size }, (_, i) => i + 1);
+export const cellsFor = (variant) =>
+  colsFor(variant).flatMap((c) => rowsFor(variant).map((r) => `${c}${r}`));
+
+export const parseCell = (cell) => ({ col: cell.charCodeAt(0) - 65, row: Number(cell.slice(1)) });
+export const isOnBoard = (cell, variant) => {
+  const { col, row } = parseCell(cell);
+  return col >= 0 && col < variant.size && row >= 1 && row <= variant.size;
+};
+
+// Orthogonal neighbours that are still on the board.
+export function neighboursOf(cell, variant) {
+  const { col, row } = parseCell(cell);
+  return [[col - 1, row], [col + 1, row], [col, row - 1], [col, row + 1]]
+    .filter(([c, r]) => c >= 0 && c < variant.size && r >= 1 && r <= variant.size)
+    .map(([c, r]) => `${colLetter(c)}${r}`);
+}
+
+// --- Rulesets ---
+// Optional rules layered on top of any variant.
+// crates: pieces span 2-3 cells in a straight line and may not touch.
+// arsenal: each seat gets the limited-use abilities below.
+// salvo: every turn is one volley, see salvoSize.
+// movable: pieces may be moved during the game, see Movable bottles.
+export const DEFAULT_RULES = { crates: false, arsenal: false, salvo: false, movable: false };
+export const rulesFrom = (rules) => ({ ...DEFAULT_RULES, ...rules });
+
+// Piece lengths to place, longest first.
+export const fleetFor = (variant, rules = DEFAULT_RULES) =>
+  rules.crates ? [...variant.crates] : Array.from({ length: variant.bottles }, () => 1);
+export const fleetCells = (variant, rules = DEFAULT_RULES) =>
+  fleetFor(variant, rules).reduce((sum, n) => sum + n, 0);
+
+// "h" runs along a row of the grid (A1 A2 A3), "v" down a column (A1 B1 C1).
+export function pieceCells(anchor, length, orientation, variant) {
+  const { col, row } = parseCell(anchor);
+  const piece = Array.from({ length }, (_, i) =>
+    orientation === "h" ? `${colLetter(col)}${row + i}` : `${colLetter(col + i)}${row}`);
+  return piece.every((c) => isOnBoard(c, variant)) ? piece : null;
+}
+
+const compareCells = (a, b) => {
+  const pa = parseCell(a);
+  const pb = parseCell(b);
+  return pa.col - pb.col || pa.row - pb.row;
+};
+
+const isStraight = (piece) => {
+  const parsed = piece.map(parseCell);
+  return parsed.every((p) => p.col === parsed[0].col) || parsed.every((p) => p.row === parsed[0].row);
+};
+
+// Crates never touch, so each edge-connected group of cells is one piece.
+// Single bottles may sit side by side, so there every cell is its own piece.
+export function piecesOf(cells, variant, rules = DEFAULT_RULES) {
+  if (!rules.crates) return cells.map((c) => [c]);
+  const left = new Set(cells);
+  const pieces = [];
+  for (const start of cells) {
+    if (!left.has(start)) continue;
+    left.delete(start);
+    const piece = [];
+    const stack = [start];
+    while (stack.length) {
+      const c = stack.pop();
+      piece.push(c);
+      neighboursOf(c, variant).filter((n) => left.has(n)).forEach((n) => {
+        left.delete(n);
+        stack.push(n);
+      });
+    }
+    pieces.push(piece.sort(compareCells));
+  }
+  return pieces;
+}
+
+// Why a piece cannot go on top of `cells`, or null if it fits.
+export function placementError(cells, piece, variant, rules = DEFAULT_RULES) {
+  if (!piece) return "off-board";
+  if (piece.some((c) => cells.includes(c))) return "overlap";
+  if (rules.crates && piece.some((c) => neighboursOf(c, variant).some((n) => cells.includes(n)))) {
+    return "adjacent";
+  }
+  return null;
+}
+
+// Setup-screen tap: remove the piece under `cell`, or place the next one
+// (longest unplaced first) anchored there. Returns { cells, error }.
+export function toggleSetupCell(cells, cell, { variant, rules = DEFAULT_RULES, orientation = "h" }) {
+  const pieces = piecesOf(cells, variant, rules);
+  const existing = pieces.find((p) => p.includes(cell));
+  if (existing) return { cells: cells.filter((c) => !existing.includes(c)), error: null };
+
+  const remaining = [...fleetFor(variant, rules)];
+  pieces.forEach((p) => {
+    const i = remaining.indexOf(p.length);
+    if (i !== -1) remaining.splice(i, 1);
+  });
+  if (remaining.length === 0) return { cells, error: "full" };
+
+  const piece = pieceCells(cell, remaining[0], orientation, variant);
+  const error = placementError(cells, piece, variant, rules);
+  return error ? { cells, error } : { cells: [...cells, ...piece], error: null };
+}
+
+// Uniformly random legal layout. `rand` is injectable for reproducible games.
+// Random draws are tried first (cheap); a crowded board falls back to
+// enumerating every legal placement for the piece.
+export function randomLayout(variant, rules = DEFAULT_RULES, rand = Math.random) {
+  const all = cellsFor(variant);
+  const draw = (options) => options[Math.floor(rand() * options.length)];
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const cells = [];
+    const placed = fleetFor(variant, rules).every((length) => {
+      for (let i = 0; i < 20; i++) {
+        const piece = pieceCells(draw(all), length, draw(["h", "v"]), variant);
+        if (!placementError(cells, piece, variant, rules)) {
+          cells.push(...piece);
+          return true;
+        }
+      }
+      const options = all
+        .flatMap((anchor) => ["h", "v"].map((o) => pieceCells(anchor, length, o, variant)))
+        .filter((piece) => !placementError(cells, piece, variant, rules));
+      if (options.length === 0) return false;
+      cells.push(...draw(options));
+      return true;
+    });
+    if (placed) return cells;
+  }
+  return [];
+}
+
+// --- Arsenal ---
+// sonar:  counts the bottles in a 2x2 area without saying which cells; uses the turn
+// strike: fires at every untried cell of one row or column; uses the turn
+// shield: covers one of your own cells until it absorbs a shot; doesn't use
+//         the turn, and the other seat never learns which cell it is
+export const ABILITIES = {
+  sonar: { id: "sonar", label: "📡 Sonar", uses: 2, description: "Count the bottles in a 2x2 area" },
+  strike: { id: "strike", label: "💣 Strike", uses: 1, description: "Fire at a whole row or column" },
+  shield: { id: "shield", label: "🛡️ Shield", uses: 1, description: "Protect one of your cells from one shot" },
+};
+
+const fullArsenal = () => Object.fromEntries(Object.values(ABILITIES).map((a) => [a.id, a.uses]));
+
+export function createMatch({ variant = DEFAULT_VARIANT, rules = DEFAULT_RULES, seed = null, seats = ["player", "opponent"], first = seats[0] } = {}) {
+  return {
+    variant,
+    rules,
+    seed,
+    seats,
+    boards: Object.fromEntries(seats.map((s) => [s, { bottles: [], shots: {}, sunk: [], shield: null, stale: [] }])),
+    arsenal: rules.arsenal ? Object.fromEntries(seats.map((s) => [s, fullArsenal()])) : null,
+    turn: first,
+    out: [],
+    winner: null,
+    history: [],
+    resigned: [],
+  };
+}
+
+// --- Actions ---
+// `target` on the shooting actions is the seat shot at. It can be left out
+// with two seats; with more it is required (see targetFor).
+export const placeBottles = (seat, cells) => ({ type: "placeBottles", seat, cells });
+// `at` is the shot's timestamp; it is taken here so the reducer stays pure.
+export const fire = (seat, cell, at = Date.now(), target = null) => ({ type: "fire", seat, cell, at, target });
+// A shot whose result was decided by the defender (online mode).
+export const recordShot = (seat, cell, result, sunk = null, at = Date.now(), target = null) =>
+  ({ type: "recordShot", seat, cell, result, sunk, at, target });
+export const undo = () => ({ type: "undo" });
+// Conceding (timeouts, disconnects): the seat is out without a shot, so with
+// two seats the other one wins.
+export const resign = (seat) => ({ type: "resign", seat });
+// Arsenal abilities. The record* forms carry results decided elsewhere
+// (online defenders, replays), like recordShot.
+export const sonar = (seat, cell, at = Date.now(), target = null) => ({ type: "sonar", seat, cell, at, target });
+export const recordSonar = (seat, cell, count, at = Date.now(), target = null) =>
+  ({ type: "recordSonar", seat, cell, count, at, target });
+// `orientation` as in pieceCells: "h" strikes the row of `cell`, "v" its column.
+export const strike = (seat, cell, orientation, at = Date.now(), target = null) =>
+  ({ type: "strike", seat, cell, orientation, at, target });
+// shots: [{ cell, result, sunk? }] fired together
+export const recordVolley = (seat, shots, ability = null, at = Date.now(), target = null) =>
+  ({ type: "recordVolley", seat, shots, ability, at, target });
+export const raiseShield = (seat, cell) => ({ type: "raiseShield", seat, cell });
+// Salvo: a whole turn's shots, fired together
+export const salvo = (seat, cells, at = Date.now(), target = null) => ({ type: "salvo", seat, cells, at, target });
+// Movable bottles: move the piece at `from` so that cell lands on `to`.
+// recordRelocation is the other seat's move when we may not see where (online).
+export const relocate = (seat, from, to, at = Date.now()) => ({ type: "relocate", seat, from, to, at });
+export const recordRelocation = (seat, at = Date.now()) => ({ type: "recordRelocation", seat, at });
+
+// --- Queries ---
+export const isOver = (state) => state.winner !== null;
+export const opponentOf = (state, seat) => state.seats.find((s) => s !== seat);
+export const isOut = (state, seat) => state.out.includes(seat);
+
+// The seat `seat` shoots at: `target` if that is another seat still in the
+// game, or with two seats simply the other one. Null when there is none.
+export function targetFor(state, seat, target = null) {
+  if (target == null) return state.seats.length === 2 ? opponentOf(state, seat) : null;
+  return target !== seat && state.boards[target] && !isOut(state, target) ? target : null;
+}
+
+// The seat after `seat` in turn order, skipping seats that are out
+export function nextSeat(state, seat) {
+  const i = state.seats.indexOf(seat);
+  const order = [...state.seats.slice(i + 1), ...state.seats.slice(0, i)];
+  return order.find((s) => !isOut(state, s)) || seat;
+}
+export const lastShot = (state) => state.history[state.history.length - 1] || null;
+export const hitsOn = (state, seat) =>
+  Object.values(state.boards[seat].shots).filter((r) => r === "hit").length;
+
+// Shots fired at `seat`, laid out in cellsFor(variant) order (null = not shot yet).
+export const gridFor = (state, seat) =>
+  cellsFor(state.variant).map((cell) => state.boards[seat].shots[cell] || null);
+
+// Pieces on `seat`'s board whose every cell has been hit (crates only).
+export function sunkOn(state, seat) {
+  if (!state.rules.crates) return [];
+  const board = state.boards[seat];
+  if (board.bottles.length === 0) return piecesOf(board.sunk || [], state.variant, state.rules);
+  return piecesOf(board.bottles, state.variant, state.rules)
+    .filter((piece) => piece.every((c) => board.shots[c] === "hit"));
+}
+
+// Whether `seat` may shoot at `cell` (on `target`'s board) right now.
+export function canFire(state, seat, cell, target = null) {
+  const board = state.boards[targetFor(state, seat, target)];
+  if (!board || isOver(state) || state.turn !== seat || !isOnBoard(cell, state.variant)) return false;
+  return !board.shots[cell];
+}
+
+// Salvo: the shots `seat` fires per turn, one per bottle it has left (per
+// crate still afloat), but never more than the cells left to try on `target`.
+export function salvoSize(state, seat, target = null) {
+  const board = state.boards[targetFor(state, seat, target)];
+  if (!board) return 0;
+  const afloat = state.rules.crates
+    ? fleetFor(state.variant, state.rules).length - sunkOn(state, seat).length
+    : fleetCells(state.variant, state.rules) - hitsOn(state, seat);
+  return Math.min(afloat, cellsFor(state.variant).filter((c) => !board.shots[c]).length);
+}
+
+export const abilitiesLeft = (state, seat) => state.arsenal?.[seat] || null;
+
+// Whether `seat` may use `ability` now. Abilities are only ever used on your turn.
+export function canUseAbility(state, seat, ability) {
+  if (!state.rules.arsenal || isOver(state) || state.turn !== seat) return false;
+  return (abilitiesLeft(state, seat)?.[ability] || 0) > 0;
+}
+
+// The 2x2 area a sonar at `cell` covers: `cell` is its top-left corner,
+// moved back onto the board at the last row or column.
+export function sonarArea(cell, variant) {
+  const { col, row } = parseCell(cell);
+  const c = Math.min(col, variant.size - 2);
+  const r = Math.min(row, variant.size - 1);
+  return [[c, r], [c, r + 1], [c + 1, r], [c + 1, r + 1]].map(([x, y]) => `${colLetter(x)}${y}`);
+}
+
+// Untried cells a strike through `cell` would hit on `target`'s board. The
+// letter is the row on screen, as in pieceCells: "h" keeps `cell`'s letter.
+export function strikeCells(state, seat, cell, orientation, target = null) {
+  const board = state.boards[targetFor(state, seat, target)];
+  if (!board) return [];
+  const { col, row } = parseCell(cell);
+  return cellsFor(state.variant)
+    .filter((c) => (orientation === "h" ? parseCell(c).col === col : parseCell(c).row === row))
+    .filter((c) => !board.shots[c]);
+}
+
+// --- Movable bottles ---
+// Every MOVE_EVERY of its own turns a seat may move one un-hit piece a single
+// cell up, down, left or right, onto empty cells that haven't been shot. It
+// doesn't use the turn. The other seat only learns that something moved, so
+// all of its misses on that board go stale: they stop counting as shots and
+// later moves may land on them.
+export const MOVE_EVERY = 3;
+
+// The layout with the piece at `from` shifted so that `from` lands on `to`.
+// No checks: see relocatedLayout.
+export function shiftPiece(bottles, from, to, variant, rules = DEFAULT_RULES) {
+  const piece = piecesOf(bottles, variant, rules).find((p) => p.includes(from)) || [from];
+  const a = parseCell(from);
+  const b = parseCell(to);
+  const moved = piece.map((c) => {
+    const { col, row } = parseCell(c);
+    return `${colLetter(col + b.col - a.col)}${row + b.row - a.row}`;
+  });
+  return [...bottles.filter((c) => !piece.includes(c)), ...moved];
+}
+
+// The layout after a legal move, or null. `shots` are the live shots at this
+// board (stale misses left out).
+export function relocatedLayout(bottles, from, to, shots, variant, rules = DEFAULT_RULES) {
+  if (!bottles.includes(from) || !neighboursOf(from, variant).includes(to)) return null;
+  const piece = piecesOf(bottles, variant, rules).find((p) => p.includes(from));
+  if (piece.some((c) => shots[c] === "hit")) return null;
+  const next = shiftPiece(bottles, from, to, variant, rules);
+  const landed = next.filter((c) => !bottles.includes(c));
+  if (!landed.every((c) => isOnBoard(c, variant) && !shots[c])) return null;
+  return isValidLayout(next, variant, rules) ? next : null;
+}
+
+// Turns `seat` has finished since it last moved a piece (or since the start)
+function turnsSinceMove(state, seat) {
+  let turns = 0;
+  state.history.forEach((entry, i) => {
+    if (entry.shooter !== seat) return;
+    if (entry.result === "moved") {
+      turns = 0;
+      return;
+    }
+    const next = state.history[i + 1];
+    if (next ? next.shooter !== seat : state.turn !== seat) turns++;
+  });
+  return turns;
+}
+
+// Own turns still to play before `seat` may move a piece (0 = now)
+export const turnsUntilMove = (state, seat) => Math.max(0, MOVE_EVERY - turnsSinceMove(state, seat));
+
+export function canRelocate(state, seat) {
+  return state.rules.movable && !isOver(state) && state.turn === seat && turnsUntilMove(state, seat) === 0;
+}
+
+// Every legal { from, to } for `seat` right now (its layout must be known)
+export function relocationsFor(state, seat) {
+  if (!canRelocate(state, seat)) return [];
+  const board = state.boards[seat];
+  return board.bottles.flatMap((from) => neighboursOf(from, state.variant)
+    .filter((to) => relocatedLayout(board.bottles, from, to, board.shots, state.variant, state.rules))
+    .map((to) => ({ from, to })));
+}
+
+// The layout `seat` started with, undoing every move in the history
+export function initialLayout(state, seat) {
+  return state.history.filter((s) => s.result === "moved" && s.shooter === seat && s.from).reverse()
+    .reduce((bottles, s) => shiftPiece(bottles, s.cell, s.from, state.variant, state.rules), state.boards[seat].bottles);
+}
+
+const shieldCovers = (board, cell) => board.shield === true || board.shield === cell;
+// Only valid when the board's layout is known
+const resultAt = (board, cell) => (board.shield === cell ? "blocked" : board.bottles.includes(cell) ? "hit" : "miss");
+
+const spend = (state, seat, ability) => ({
+  ...state,
+  arsenal: { ...state.arsenal, [seat]: { ...state.arsenal[seat], [ability]: state.arsenal[seat][ability] - 1 } },
+});
+
+const allFound = (state, seat) => hitsOn(state, seat) >= fleetCells(state.variant, state.rules);
+
+// Adds one resolved shot to the target board and the history; the turn is
+// left to the caller. A blocked shot only takes the shield down.
+function addShot(state, seat, target, cell, result, reportedSunk, at, extra = {}) {
+  const board = state.boards[target];
+  const shot = { shooter: seat, target, cell, result, at: at ?? null, ...extra };
+  const blocked = result === "blocked";
+  const next = {
+    ...state,
+    boards: {
+      ...state.boards,
+      [target]: {
+        ...board,
+        shots: blocked ? board.shots : { ...board.shots, [cell]: result },
+        sunk: reportedSunk ? [...(board.sunk || []), ...reportedSunk] : board.sunk,
+        shield: blocked ? null : board.shield,
+        stale: blocked ? board.stale : (board.stale || []).filter((c) => c !== cell),
+      },
+    },
+  };
+  const sunk = result === "hit" && sunkOn(next, target).find((p) => p.includes(cell));
+  if (sunk) shot.sunk = sunk;
+  next.history = [...state.history, shot];
+  return next;
+}
+
+// Takes `seat` out of the game. The last seat left wins; otherwise a seat
+// that was on turn hands it on.
+function knockOut(state, seat) {
+  const next = { ...state, out: [...state.out, seat] };
+  const left = next.seats.filter((s) => !isOut(next, s));
+  if (left.length === 1) return { ...next, winner: left[0] };
+  return next.turn === seat ? { ...next, turn: nextSeat(next, seat) } : next;
+}
+
+// Once a move is recorded: a target with every bottle found is out, and
+// unless the shooter keeps the turn it moves on.
+function endMove(state, seat, target, keepTurn) {
+  const next = allFound(state, target) ? knockOut(state, target) : state;
+  if (isOver(next) || keepTurn) return next;
+  return { ...next, turn: nextSeat(next, seat) };
+}
+
+// Shared by fire and recordShot once the result is known.
+function applyShot(state, seat, target, cell, result, reportedSunk, at) {
+  const next = addShot(state, seat, target, cell, result, reportedSunk, at);
+  // Hit means go again; a miss (or a shield) passes the turn.
+  return endMove(next, seat, target, result === "hit");
+}
+
+// Several shots at once (a strike or a salvo). The turn passes afterwards, hits or not.
+function applyVolley(state, seat, target, shots, ability, at) {
+  const volley = state.history.length;
+  const extra = ability ? { volley, ability } : { volley };
+  let next = shots.reduce((s, shot) => addShot(s, seat, target, shot.cell, shot.result, shot.sunk || null, at, extra), state);
+  if (ability) next = spend(next, seat, ability);
+  return endMove(next, seat, target, false);
+}
+
+function applySonar(state, seat, target, cell, count, at) {
+  const next = spend(state, seat, "sonar");
+  const entry = { shooter: seat, target, cell, result: "sonar", count, at: at ?? null, ability: "sonar" };
+  return endMove({ ...next, history: [...next.history, entry] }, seat, target, false);
+}
+
+// A move by `seat`: its layout (null if we can't see it) and the misses it made stale
+function applyRelocation(state, seat, bottles, move, at) {
+  const board = state.boards[seat];
+  const stale = Object.keys(board.shots).filter((c) => board.shots[c] === "miss");
+  const shots = Object.fromEntries(Object.entries(board.shots).filter(([, r]) => r !== "miss"));
+  const entry = { shooter: seat, target: seat, result: "moved", stale, at: at ?? null, ...move };
+  return {
+    ...state,
+    boards: { ...state.boards, [seat]: { ...board, bottles: bottles || board.bottles, shots, stale: [...(board.stale || []), ...stale] } },
+    history: [...state.history, entry],
+  };
+}
+
+// Shots a volley may record: untried, distinct cells with known results.
+function isValidVolley(state, target, shots) {
+  const board = state.boards[target];
+  const cells = shots.map((s) => s.cell);
+  return shots.length > 0 && new Set(cells).size === cells.length
+    && shots.every((s) => isOnBoard(s.cell, state.variant) && !board.shots[s.cell]
+      && (["hit", "miss"].includes(s.result) || (s.result === "blocked" && shieldCovers(board, s.cell))))
+    && shots.filter((s) => s.result === "blocked").length <= 1;
+}
+
+export function isValidLayout(cells, variant, rules = DEFAULT_RULES) {
+  if (!Array.isArray(cells) || cells.length !== fleetCells(variant, rules)) return false;
+  if (new Set(cells).size !== cells.length || !cells.every((c) => isOnBoard(c, variant))) return false;
+  const lengths = piecesOf(cells, variant, rules).map((p) => p.length).sort((a, b) => b - a);
+  const fleet = [...fleetFor(variant, rules)].sort((a, b) => b - a);
+  return lengths.join() === fleet.join() &&
+    piecesOf(cells, variant, rules).every(isStraight);
+}
+
+// Illegal actions (wrong turn, repeated cell, game over) return the same
+// state object, so callers can detect a rejected move with `next === state`.
+export function matchReducer(state, action) {
+  switch (action.type) {
+    case "placeBottles": {
+      const board = state.boards[action.seat];
+      if (!board || state.history.length > 0 || !isValidLayout(action.cells, state.variant, state.rules)) return state;
+      return {
+        ...state,
+        boards: { ...state.boards, [action.seat]: { ...board, bottles: [...action.cells] } },
+      };
+    }
+
+    // Salvo turns are whole volleys, never single shots
+    case "fire": {
+      const { seat, cell, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (state.rules.salvo || !canFire(state, seat, cell, target)) return state;
+      return applyShot(state, seat, target, cell, resultAt(state.boards[target], cell), null, at);
+    }
+
+    case "recordShot": {
+      const { seat, cell, result, sunk, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (state.rules.salvo || !canFire(state, seat, cell, target)) return state;
+      const blockable = result === "blocked" && shieldCovers(state.boards[target], cell);
+      if (!["hit", "miss"].includes(result) && !blockable) return state;
+      return applyShot(state, seat, target, cell, result, sunk, at);
+    }
+
+    case "sonar": {
+      const { seat, cell, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (!target || !canUseAbility(state, seat, "sonar") || !isOnBoard(cell, state.variant)) return state;
+      const bottles = state.boards[target].bottles;
+      return applySonar(state, seat, target, cell, sonarArea(cell, state.variant).filter((c) => bottles.includes(c)).length, at);
+    }
+
+    case "recordSonar": {
+      const { seat, cell, count, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (!target || !canUseAbility(state, seat, "sonar") || !isOnBoard(cell, state.variant)) return state;
+      if (!Number.isInteger(count) || count < 0 || count > 4) return state;
+      return applySonar(state, seat, target, cell, count, at);
+    }
+
+    case "strike": {
+      const { seat, cell, orientation, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (!target || !canUseAbility(state, seat, "strike") || !isOnBoard(cell, state.variant)) return state;
+      const board = state.boards[target];
+      const shots = strikeCells(state, seat, cell, orientation, target).map((c) => ({ cell: c, result: resultAt(board, c) }));
+      if (shots.length === 0) return state;
+      return applyVolley(state, seat, target, shots, "strike", at);
+    }
+
+    case "salvo": {
+      const { seat, cells, at } = action;
+      const target = targetFor(state, seat, action.target);
+      if (!state.rules.salvo || !Array.isArray(cells) || cells.length !== salvoSize(state, seat, target)) return state;
+      if (new Set(cells).size !== cells.length || !cells.every((c) => canFire(state, seat, c, target))) return state;
+      const board = state.boards[target];
+      return applyVolley(state, seat, target, cells.map((c) => ({ cell: c, result: resultAt(board, c) })), null, at);
+    }
+
+    // A strike, or a salvo (no ability) of exactly salvoSize shots
+    case "recordVolley": {
+      const { seat, shots, ability, at } = action;
+      const target = targetFor(state, seat, action.target);
+      const allowed = ability === "strike"
+        ? canUseAbility(state, seat, ability)
+        : ability === null && state.rules.salvo && !isOver(state) && state.turn === seat
+          && shots.length === salvoSize(state, seat, target);
+      if (!target || !allowed || !isValidVolley(state, target, shots)) return state;
+      return applyVolley(state, seat, target, shots, ability, at);
+    }
+
+    case "relocate": {
+      const { seat, from, to, at } = action;
+      if (!canRelocate(state, seat)) return state;
+      const board = state.boards[seat];
+      const bottles = relocatedLayout(board.bottles, from, to, board.shots, state.variant, state.rules);
+      if (!bottles) return state;
+      return applyRelocation(state, seat, bottles, { from, cell: to }, at);
+    }
+
+    case "recordRelocation": {
+      const { seat, at } = action;
+      if (!canRelocate(state, seat)) return state;
+      return applyRelocation(state, seat, null, {}, at);
+    }
+
+    // The UI only offers this on your own turn. The reducer doesn't insist,
+    // so a replay can raise a shield just before the shot it absorbed.
+    case "raiseShield": {
+      const { seat, cell } = action;
+      const board = state.boards[seat];
+      if (!state.rules.arsenal || isOver(state) || !board || board.shield) return state;
+      if ((abilitiesLeft(state, seat)?.shield || 0) < 1 || !isOnBoard(cell, state.variant) || board.shots[cell]) return state;
+      return spend({ ...state, boards: { ...state.boards, [seat]: { ...board, shield: cell } } }, seat, "shield");
+    }
+
+    // Takes back the last move: a shot, a whole volley or a sonar ping, with
+    // any ability it used. A shield it hit goes back up.
+    case "undo": {
+      const last = lastShot(state);
+      if (!last) return state;
+      const taken = last.volley != null ? state.history.filter((s) => s.volley === last.volley) : [last];
+      let boards = state.boards;
+      taken.forEach((shot) => {
+        const board = boards[shot.target];
+        if (shot.result === "moved") {
+          const bottles = shot.from ? shiftPiece(board.bottles, shot.cell, shot.from, state.variant, state.rules) : board.bottles;
+          const shots = { ...board.shots, ...Object.fromEntries(shot.stale.map((c) => [c, "miss"])) };
+          const stale = board.stale.filter((c) => !shot.stale.includes(c));
+          boards = { ...boards, [shot.target]: { ...board, bottles, shots, stale } };
+          return;
+        }
+        const shots = { ...board.shots };
+        if (shot.result !== "blocked") delete shots[shot.cell];
+        const sunk = (board.sunk || []).filter((c) => !(shot.sunk || []).includes(c));
+        const shield = shot.result === "blocked" ? shot.cell : board.shield;
+        boards = { ...boards, [shot.target]: { ...board, shots, sunk, shield } };
+      });
+      const next = {
+        ...state,
+        boards,
+        history: state.history.slice(0, -taken.length),
+        turn: last.shooter,
+        // A seat the move knocked out is back in
+        out: state.out.filter((s) => s !== last.target || allFound({ ...state, boards }, s)),
+        winner: null,
+      };
+      if (!last.ability) return next;
+      const left = next.arsenal[last.shooter];
+      return { ...next, arsenal: { ...next.arsenal, [last.shooter]: { ...left, [last.ability]: left[last.ability] + 1 } } };
+    }
+
+    case "resign": {
+      if (isOver(state) || !state.boards[action.seat] || isOut(state, action.seat)) return state;
+      const resigned = [...(state.resigned || []), { seat: action.seat, after: state.history.length }];
+      return knockOut({ ...state, resigned }, action.seat);
+    }
+
+    default:
+      return state;
+  }
+}
+
+// Convenience for applying several actions at once (e.g. both layouts).
+export const applyActions = (state, actions) => actions.reduce(matchReducer, state);
+
+// --- Replay ---
+// The actions that rebuild `history` on a fresh match: each entry is recorded
+// with its result, volleys as one action, and a shield is raised just before
+// the shot it absorbed. `resigned` entries go back in where they happened.
+export function historyActions(history, resigned = []) {
+  const actions = [];
+  const resignAfter = (n) => resigned.filter((r) => r.after === n).forEach((r) => actions.push(resign(r.seat)));
+  history.forEach((s, i) => {
+    resignAfter(i);
+    if (s.result === "sonar") {
+      actions.push(recordSonar(s.shooter, s.cell, s.count, s.at, s.target));
+    } else if (s.result === "moved") {
+      actions.push(s.from ? relocate(s.shooter, s.from, s.cell, s.at) : recordRelocation(s.shooter, s.at));
+    } else if (s.volley == null) {
+      if (s.result === "blocked") actions.push(raiseShield(s.target, s.cell));
+      actions.push(recordShot(s.shooter, s.cell, s.result, s.sunk || null, s.at, s.target));
+    } else if (i === 0 || history[i - 1].volley !== s.volley) {
+      const volley = history.filter((h) => h.volley === s.volley);
+      volley.filter((h) => h.result === "blocked").forEach((h) => actions.push(raiseShield(h.target, h.cell)));
+      const shots = volley.map(({ cell, result, sunk }) => ({ cell, result, ...(sunk ? { sunk } : {}) }));
+      actions.push(recordVolley(s.shooter, shots, s.ability || null, s.at, s.target));
+    }
+  });
+  resignAfter(history.length);
+  return actions;
+}
+
+// The match as it stood after its first `step` history entries, rebuilt from
+// the same starting layouts. Used by the replay viewer to scrub back and forth.
+export function replayTo(state, step) {
+  const entries = state.history.slice(0, Math.max(0, step));
+  const first = state.history.length ? state.history[0].shooter : state.turn;
+  const start = createMatch({ variant: state.variant, rules: state.rules, seed: state.seed, seats: state.seats, first });
+  start.boards = Object.fromEntries(state.seats.map((s) => [s, { bottles: initialLayout(state, s), shots: {}, sunk: [], shield: null, stale: [] }]));
+  const resigned = (state.resigned || []).filter((r) => r.after <= entries.length);
+  return applyActions(start, historyActions(entries, resigned));
+}
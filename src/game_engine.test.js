@@ -0,0 +1,192 @@
+import { describe, it, expect } from "vitest";
+import {
+  VARIANTS, createMatch, matchReducer, applyActions, placeBottles, fire, undo, resign, sonar, strike, raiseShield,
+  salvo, relocate, isOver, isOut, hitsOn, sunkOn, salvoSize, abilitiesLeft, canRelocate, turnsUntilMove, isValidLayout,
+  replayTo, MOVE_EVERY,
+} from "./game_engine.js";
+
+const classic = VARIANTS.classic;
+const PLAYER = ["A1", "B2", "C3", "D4"];
+const OPPONENT = ["A1", "A2", "A3", "A4"];
+
+// A classic match with both layouts placed; `rules` switches on the optional rulesets
+function start(rules = {}, layouts = [PLAYER, OPPONENT]) {
+  const match = createMatch({ variant: classic, rules: { crates: false, arsenal: false, salvo: false, movable: false, ...rules } });
+  return applyActions(match, [placeBottles("player", layouts[0]), placeBottles("opponent", layouts[1])]);
+}
+
+describe("fire", () => {
+  it("keeps the turn on a hit and passes it on a miss", () => {
+    const hit = matchReducer(start(), fire("player", "A1", 1));
+    expect(hit.boards.opponent.shots).toEqual({ A1: "hit" });
+    expect(hit.turn).toBe("player");
+
+    const miss = matchReducer(hit, fire("player", "B1", 2));
+    expect(miss.boards.opponent.shots.B1).toBe("miss");
+    expect(miss.turn).toBe("opponent");
+    expect(miss.history.map((s) => s.result)).toEqual(["hit", "miss"]);
+  });
+
+  it("rejects a repeated cell, a shot out of turn and a cell off the board", () => {
+    const match = matchReducer(start(), fire("player", "A1", 1));
+    expect(matchReducer(match, fire("player", "A1", 2))).toBe(match);
+    expect(matchReducer(match, fire("opponent", "B1", 2))).toBe(match);
+    expect(matchReducer(match, fire("player", "E1", 2))).toBe(match);
+  });
+
+  it("ends the game once every bottle is found", () => {
+    const match = applyActions(start(), OPPONENT.map((c, i) => fire("player", c, i)));
+    expect(hitsOn(match, "opponent")).toBe(4);
+    expect(isOver(match)).toBe(true);
+    expect(match.winner).toBe("player");
+    expect(isOut(match, "opponent")).toBe(true);
+    expect(matchReducer(match, fire("player", "B1", 9))).toBe(match);
+  });
+});
+
+describe("isOver", () => {
+  it("is false until someone wins, and a resignation ends it", () => {
+    const match = start();
+    expect(isOver(match)).toBe(false);
+    const resigned = matchReducer(match, resign("player"));
+    expect(isOver(resigned)).toBe(true);
+    expect(resigned.winner).toBe("opponent");
+    expect(resigned.resigned).toEqual([{ seat: "player", after: 0 }]);
+  });
+});
+
+describe("undo", () => {
+  it("takes back the last shot and its turn", () => {
+    const before = matchReducer(start(), fire("player", "B1", 1));
+    const after = matchReducer(before, undo());
+    expect(after.history).toEqual([]);
+    expect(after.boards.opponent.shots).toEqual({});
+    expect(after.turn).toBe("player");
+  });
+
+  it("brings a knocked out seat back and clears the winner", () => {
+    const won = applyActions(start(), OPPONENT.map((c, i) => fire("player", c, i)));
+    const back = matchReducer(won, undo());
+    expect(back.winner).toBe(null);
+    expect(back.out).toEqual([]);
+    expect(hitsOn(back, "opponent")).toBe(3);
+  });
+
+  it("does nothing on an empty history", () => {
+    const match = start();
+    expect(matchReducer(match, undo())).toBe(match);
+  });
+});
+
+describe("crates", () => {
+  const CRATES = { crates: true };
+  const crateLayout = ["A1", "A2", "A3", "C1", "C2"];
+
+  it("only accepts straight pieces of the variant's lengths", () => {
+    expect(isValidLayout(crateLayout, classic, CRATES)).toBe(true);
+    expect(isValidLayout(["A1", "A2", "B2", "D1", "D2"], classic, CRATES)).toBe(false);
+    expect(isValidLayout(["A1", "A2", "A3", "C1"], classic, CRATES)).toBe(false);
+  });
+
+  it("reports a crate sunk once all its cells are hit", () => {
+    const match = applyActions(start(CRATES, [crateLayout, crateLayout]), [fire("player", "C1", 1), fire("player", "C2", 2)]);
+    expect(sunkOn(match, "opponent")).toEqual([["C1", "C2"]]);
+    expect(match.history[1].sunk).toEqual(["C1", "C2"]);
+    expect(isOver(match)).toBe(false);
+  });
+});
+
+describe("salvo", () => {
+  it("fires one shot per bottle left and always passes the turn", () => {
+    const match = start({ salvo: true });
+    expect(salvoSize(match, "player")).toBe(4);
+    expect(matchReducer(match, fire("player", "A1", 1))).toBe(match);
+    expect(matchReducer(match, salvo("player", ["A1", "A2"], 1))).toBe(match);
+
+    const next = matchReducer(match, salvo("player", ["A1", "A2", "B1", "B2"], 1));
+    expect(next.turn).toBe("opponent");
+    expect(next.history.every((s) => s.volley === 0)).toBe(true);
+    expect(hitsOn(next, "opponent")).toBe(2);
+  });
+
+  it("shrinks with the shooter's own losses and is undone as one volley", () => {
+    const match = applyActions(start({ salvo: true }), [
+      salvo("player", ["B1", "C1", "D1", "B3"], 1),
+      salvo("opponent", ["A1", "B2", "A2", "A3"], 2),
+    ]);
+    expect(salvoSize(match, "player")).toBe(2);
+    const back = matchReducer(match, undo());
+    expect(back.history).toHaveLength(4);
+    expect(back.turn).toBe("opponent");
+  });
+});
+
+describe("arsenal", () => {
+  const ARSENAL = { arsenal: true };
+
+  it("counts bottles with sonar, uses the turn and spends a use", () => {
+    const match = matchReducer(start(ARSENAL), sonar("player", "A1", 1));
+    expect(match.history[0]).toMatchObject({ result: "sonar", count: 2, cell: "A1" });
+    expect(match.turn).toBe("opponent");
+    expect(abilitiesLeft(match, "player").sonar).toBe(1);
+  });
+
+  it("strikes every untried cell of a row", () => {
+    const match = matchReducer(start(ARSENAL), strike("player", "A1", "h", 1));
+    expect(match.history.map((s) => s.cell)).toEqual(["A1", "A2", "A3", "A4"]);
+    expect(match.winner).toBe("player");
+    expect(abilitiesLeft(match, "player").strike).toBe(0);
+  });
+
+  it("strikes a column with \"v\"", () => {
+    const match = matchReducer(start(ARSENAL), strike("player", "B1", "v", 1));
+    expect(match.history.map((s) => s.cell)).toEqual(["A1", "B1", "C1", "D1"]);
+    expect(match.turn).toBe("opponent");
+  });
+
+  it("absorbs one shot with a shield, which is then down", () => {
+    const shielded = matchReducer(start(ARSENAL), raiseShield("opponent", "A1"));
+    expect(abilitiesLeft(shielded, "opponent").shield).toBe(0);
+    const blocked = matchReducer(shielded, fire("player", "A1", 1));
+    expect(blocked.history[0].result).toBe("blocked");
+    expect(blocked.boards.opponent.shield).toBe(null);
+    expect(blocked.boards.opponent.shots).toEqual({});
+    expect(blocked.turn).toBe("opponent");
+    expect(matchReducer(blocked, raiseShield("opponent", "A2"))).toBe(blocked);
+  });
+
+  it("refuses abilities without the ruleset or once used up", () => {
+    const plain = start();
+    expect(matchReducer(plain, sonar("player", "A1", 1))).toBe(plain);
+    const used = applyActions(start(ARSENAL), [sonar("player", "A1", 1), fire("opponent", "D1", 2), sonar("player", "C1", 3), fire("opponent", "D2", 4)]);
+    expect(matchReducer(used, sonar("player", "B1", 5))).toBe(used);
+  });
+});
+
+describe("relocate", () => {
+  // Each side misses until the player may move
+  const misses = ["B1", "C1", "D1"].flatMap((c, i) => [fire("player", c, i * 2), fire("opponent", ["A2", "A3", "A4"][i], i * 2 + 1)]);
+
+  it("waits MOVE_EVERY turns, then moves a bottle and makes misses stale", () => {
+    const early = start({ movable: true });
+    expect(canRelocate(early, "player")).toBe(false);
+    expect(turnsUntilMove(early, "player")).toBe(MOVE_EVERY);
+
+    const ready = applyActions(early, misses);
+    expect(canRelocate(ready, "player")).toBe(true);
+    expect(matchReducer(ready, relocate("player", "A1", "A2", 9))).toBe(ready);
+
+    const moved = matchReducer(ready, relocate("player", "A1", "B1", 9));
+    expect(moved.boards.player.bottles).toContain("B1");
+    expect(moved.boards.player.bottles).not.toContain("A1");
+    expect(moved.boards.player.stale).toEqual(["A2", "A3", "A4"]);
+    expect(moved.turn).toBe("player");
+    expect(turnsUntilMove(moved, "player")).toBe(MOVE_EVERY);
+  });
+
+  it("replays and undoes a move back to the starting layout", () => {
+    const moved = matchReducer(applyActions(start({ movable: true }), misses), relocate("player", "A1", "B1", 9));
+    expect(replayTo(moved, moved.history.length).boards.player.bottles).toEqual(moved.boards.player.bottles);
+    expect([...matchReducer(moved, undo()).boards.player.bottles].sort()).toEqual(PLAYER);
+  });
+});
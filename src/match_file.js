@@ -0,0 +1,212 @@
+// --- Match Files ---
+// Portable, versioned JSON for sharing finished games:
+//
+// {
+//   format:   "bottleship-match",
+//   version:  6,
+//   variant:  "classic",
+//   rules:    { crates, arsenal, salvo, movable },
+//   seed:     string | null,
+//   first:    "player" | "opponent",                       // who fired first
+//   players:  [{ seat, name, bottles: [cell] }],           // 2 to 4, starting layouts; [] if never revealed
+//   shots:    [{ by, to?, cell, result, at, sunk?, count?, volley?, ability?, from?, stale? }],   // as in the engine's history
+//   resigned: [{ seat, after }],                          // forfeits and timeouts, after that many shots
+//   winner:   seat | null,
+//   notation: "B2x A1o ...",
+// }
+//
+// The shot list is the source of truth; `notation` is a compact summary in
+// which each shot is the cell plus "x" (hit), "o" (miss), "#" (hit and sunk)
+// or "!" (blocked by a shield). A sonar ping is the cell plus "?" and the count
+// ("B2?1"); shots fired together are joined with "+", with a leading "*" for a
+// strike ("*C1o+C2x+C3o"). In Salvo games each shot token is a whole turn,
+// even a single cell. A moved piece is "~" plus where from and to when known
+// ("~B2-B3"); moving doesn't pass the turn. Who fired is implied by the rules, since only hits
+// keep the turn, so a two-player file with only `notation` and no `shots`
+// still loads. Free-for-all files need `shots`, where `to` names the seat
+// each shot went at; the notation doesn't say. A game won by a forfeit or a
+// timeout ends with entries in `resigned`, since no shot says so.
+// Older versions are upgraded through MIGRATIONS, so files keep loading.
+
+import {
+  variantById, rulesFrom, createMatch, matchReducer, placeBottles, isOver, sonarArea, historyActions, initialLayout,
+} from './game_engine.js';
+
+export const MATCH_FORMAT = "bottleship-match";
+export const MATCH_VERSION = 6;
+
+// version -> function upgrading a document of that version to version + 1
+const MIGRATIONS = {
+  // 2 added Arsenal abilities and volleys; every version 1 file is still valid
+  1: (doc) => ({ ...doc, version: 2 }),
+  // 3 added the Salvo rule; older files never use it
+  2: (doc) => ({ ...doc, version: 3 }),
+  // 4 added movable bottles; `players[].bottles` became the starting layout
+  3: (doc) => ({ ...doc, version: 4 }),
+  // 5 added free-for-all matches, whose shots carry `to`
+  4: (doc) => ({ ...doc, version: 5 }),
+  // 6 added `resigned`. Older files didn't say how a game without a final
+  // shot ended: everyone but the winner is taken to have resigned at the end.
+  5: (doc) => ({
+    ...doc,
+    version: 6,
+    resigned: doc.winner && Array.isArray(doc.players)
+      ? doc.players.filter((p) => p.seat !== doc.winner).map((p) => ({ seat: p.seat }))
+      : [],
+  }),
+};
+
+const RESULT_MARKS = { hit: "x", miss: "o", blocked: "!" };
+
+function shotToken(s) {
+  if (s.result === "moved") return s.from ? `~${s.from}-${s.cell}` : "~";
+  return s.result === "sonar" ? `${s.cell}?${s.count}` : `${s.cell}${s.sunk ? "#" : RESULT_MARKS[s.result]}`;
+}
+
+export function toNotation(history) {
+  const tokens = [];
+  history.forEach((s, i) => {
+    if (s.volley == null) tokens.push(shotToken(s));
+    else if (i === 0 || history[i - 1].volley !== s.volley) {
+      const volley = history.filter((h) => h.volley === s.volley).map(shotToken).join("+");
+      tokens.push(`${s.ability === "strike" ? "*" : ""}${volley}`);
+    }
+  });
+  return tokens.join(" ");
+}
+
+function parseShot(part, token) {
+  const moved = /^~(?:([A-Z]\d+)-([A-Z]\d+))?$/i.exec(part);
+  if (moved) return { result: "moved", ...(moved[1] ? { from: moved[1].toUpperCase(), cell: moved[2].toUpperCase() } : {}) };
+  const found = /^([A-Z]\d+)(?:([xo#!])|\?(\d))$/i.exec(part);
+  if (!found) throw new Error(`Bad shot "${token}" in notation`);
+  const cell = found[1].toUpperCase();
+  if (found[3] != null) return { cell, result: "sonar", count: Number(found[3]), ability: "sonar" };
+  const mark = found[2].toLowerCase();
+  return { cell, result: mark === "o" ? "miss" : mark === "!" ? "blocked" : "hit" };
+}
+
+// History entries without shooters; volleys are numbered by their token.
+export function parseNotation(text, { salvo = false } = {}) {
+  return text.trim().split(/\s+/).filter(Boolean).flatMap((token, i) => {
+    const strike = token.startsWith("*");
+    const parts = (strike ? token.slice(1) : token).split("+");
+    if (parts.length === 1 && !strike) {
+      const shot = parseShot(parts[0], token);
+      return [salvo && !["sonar", "moved"].includes(shot.result) ? { ...shot, volley: i } : shot];
+    }
+    return parts.map((part) => ({ ...parseShot(part, token), volley: i, ...(strike ? { ability: "strike" } : {}) }));
+  });
+}
+
+export function exportMatch(match, names = {}) {
+  return {
+    format: MATCH_FORMAT,
+    version: MATCH_VERSION,
+    variant: match.variant.id,
+    rules: match.rules,
+    seed: match.seed,
+    first: match.history.length ? match.history[0].shooter : match.turn,
+    players: match.seats.map((seat) => ({ seat, name: names[seat] || seat, bottles: initialLayout(match, seat) })),
+    shots: match.history.map((entry) => {
+      const { shooter, target, ...shot } = entry;
+      return match.seats.length > 2 && shot.result !== "moved" ? { by: shooter, to: target, ...shot } : { by: shooter, ...shot };
+    }),
+    resigned: match.resigned || [],
+    winner: match.winner,
+    notation: toNotation(match.history),
+  };
+}
+
+// Shots with their shooter filled in by walking the turn order: only a hit
+// outside a volley, or a move, keeps the turn.
+function shotsFromNotation(text, seats, first, rules) {
+  let by = first;
+  return parseNotation(text, { salvo: rules.salvo }).map((shot, i, all) => {
+    const full = { ...shot, by };
+    const endsVolley = shot.volley != null && all[i + 1]?.volley !== shot.volley;
+    if ((shot.volley == null && !["hit", "moved"].includes(shot.result)) || endsVolley) by = seats.find((s) => s !== by);
+    return full;
+  });
+}
+
+// Parses and replays a match file. Returns { match, names } or throws an
+// Error whose message can be shown to the user.
+export function importMatch(text) {
+  let doc;
+  try {
+    doc = typeof text === "string" ? JSON.parse(text) : text;
+  } catch {
+    throw new Error("This file isn't valid JSON");
+  }
+  if (!doc || doc.format !== MATCH_FORMAT) throw new Error("This isn't a Bottleship match file");
+  if (!Number.isInteger(doc.version) || doc.version > MATCH_VERSION) {
+    throw new Error("This match was saved by a newer version of Bottleship");
+  }
+  while (doc.version < MATCH_VERSION) {
+    const migrate = MIGRATIONS[doc.version];
+    if (!migrate) throw new Error(`Match files of version ${doc.version} can't be read`);
+    doc = migrate(doc);
+  }
+
+  const variant = variantById(doc.variant);
+  const rules = rulesFrom(doc.rules);
+  const players = Array.isArray(doc.players) ? doc.players : [];
+  const seats = players.map((p) => p.seat);
+  if (seats.length < 2 || seats.length > 4 || new Set(seats).size !== seats.length) {
+    throw new Error("A match needs two to four players");
+  }
+  if (seats.length > 2 && !Array.isArray(doc.shots)) throw new Error("A free-for-all match needs its shot list");
+
+  const first = seats.includes(doc.first) ? doc.first : seats[0];
+  let match = createMatch({ variant, rules, seed: doc.seed ?? null, seats, first });
+  players.forEach((p) => {
+    if (!p.bottles || p.bottles.length === 0) return;
+    const next = matchReducer(match, placeBottles(p.seat, p.bottles));
+    if (next === match) throw new Error(`${p.name || p.seat}'s placement isn't valid for this board`);
+    match = next;
+  });
+
+  const shots = Array.isArray(doc.shots) ? doc.shots : shotsFromNotation(doc.notation || "", seats, first, rules);
+  const entries = shots.map(({ by, to, ...shot }) => ({
+    ...shot,
+    shooter: by,
+    // A move is on the mover's own board
+    target: shot.result === "moved" ? by : to ?? seats.find((s) => s !== by),
+    at: shot.at ?? null,
+  }));
+  // Checked against the bottles as they stood when the shot was fired, since
+  // movable bottles don't stay where they were placed
+  const fits = (shot) => {
+    const bottles = match.boards[shot.target]?.bottles || [];
+    if (!bottles.length || shot.result === "moved") return true;
+    return shot.result === "sonar"
+      ? sonarArea(shot.cell, variant).filter((c) => bottles.includes(c)).length === shot.count
+      : shot.result === "blocked" || bottles.includes(shot.cell) === (shot.result === "hit");
+  };
+  // Without `after`, a resignation came at the end (see MIGRATIONS)
+  const resigned = (Array.isArray(doc.resigned) ? doc.resigned : [])
+    .filter((r) => seats.includes(r.seat))
+    .map((r) => ({ seat: r.seat, after: Number.isInteger(r.after) ? r.after : entries.length }));
+  // A rejected action is always about the first entry it hasn't recorded yet.
+  // Resigning a seat that is already out changes nothing and is let through.
+  historyActions(entries, resigned).forEach((action) => {
+    const next = matchReducer(match, action);
+    if (action.type === "resign") {
+      match = next;
+      return;
+    }
+    const shot = entries[match.history.length];
+    if (next === match) throw new Error(`Shot ${match.history.length + 1} (${shot.cell}) isn't a legal move`);
+    for (let i = match.history.length; i < next.history.length; i++) {
+      if (!fits(entries[i])) throw new Error(`Shot ${i + 1} (${entries[i].cell}) doesn't match the placements`);
+    }
+    match = next;
+  });
+  if (doc.winner && (!isOver(match) || match.winner !== doc.winner)) {
+    throw new Error("The recorded winner doesn't match the shots");
+  }
+
+  const names = Object.fromEntries(players.map((p) => [p.seat, p.name || p.seat]));
+  return { match, names };
+}
@@ -0,0 +1,88 @@
+// --- Quick Match ---
+// One queue document per set of game settings, so only players who chose the
+// same board, rules, clock and series length are paired:
+//
+//   { waiting: [{ uid, name, ticket, at }], matches: { [ticket]: roomCode | null | false } }
+//
+// The second player to arrive takes the first one off `waiting`, claiming
+// their ticket (null: a room is on its way), creates a fresh room as host and
+// leaves its code under that ticket. The waiting player watches the queue for
+// that and joins as guest. A waiting player who gives up while claimed marks
+// the ticket false, and the host then closes the room instead of waiting in it.
+// The pure functions below hold all the pairing rules; the async helpers only
+// run them atomically through a transport (see room_transport.js), so they
+// work the same against Firestore, the emulator or the local transport.
+
+export const QUEUE_TIMEOUT_MS = 45000;
+// Entries older than this belong to players who closed the page while waiting
+const ENTRY_TTL_MS = QUEUE_TIMEOUT_MS + 15000;
+
+export const queueKey = (variant, rules, clockId, bestOf) =>
+  `${variant.id}-${rules.crates ? 'crates' : 'bottles'}${rules.arsenal ? '-arsenal' : ''}${rules.salvo ? '-salvo' : ''}${rules.movable ? '-movable' : ''}-${clockId}-bo${bestOf}`;
+
+const emptyQueue = () => ({ waiting: [], matches: {} });
+const normalize = (queue) => ({ ...emptyQueue(), ...queue });
+
+// Adds `entry` to the queue, or pairs it with the longest-waiting other player.
+export function joinQueue(queue, entry, now) {
+  const q = normalize(queue);
+  const fresh = q.waiting.filter((w) => now - w.at < ENTRY_TTL_MS && w.uid !== entry.uid);
+  const [opponent, ...rest] = fresh;
+  if (opponent) return { queue: { ...q, waiting: rest, matches: { ...q.matches, [opponent.ticket]: null } }, opponent };
+  return { queue: { ...q, waiting: [...fresh, { ...entry, at: now }] }, opponent: null };
+}
+
+// Leaves `code` under a claimed ticket; `assigned` is false if its player
+// already gave up, and the ticket is cleared instead.
+export function assignRoom(queue, ticket, code) {
+  const q = normalize(queue);
+  const { [ticket]: claim, ...matches } = q.matches;
+  if (claim === false) return { queue: { ...q, matches }, assigned: false };
+  return { queue: { ...q, matches: { ...q.matches, [ticket]: code } }, assigned: true };
+}
+
+export const matchFor = (queue, ticket) => normalize(queue).matches[ticket] || null;
+
+// Takes `ticket` out of the queue. If it was paired in the meantime the room
+// code is returned, so a timeout never strands a player who was just matched;
+// if its room isn't announced yet the ticket is marked given up, so the host
+// learns nobody is coming (see assignRoom).
+export function leaveQueue(queue, ticket) {
+  const q = normalize(queue);
+  const { [ticket]: code, ...matches } = q.matches;
+  const waiting = q.waiting.filter((w) => w.ticket !== ticket);
+  if (code === null) return { queue: { waiting, matches: { ...matches, [ticket]: false } }, code: null };
+  return { queue: { waiting, matches }, code: code || null };
+}
+
+// --- Against a transport ---
+export async function enterQueue(queues, key, entry) {
+  let opponent = null;
+  await queues.atomic(key, (queue) => {
+    const result = joinQueue(queue, entry, Date.now());
+    opponent = result.opponent;
+    return result.queue;
+  });
+  return opponent;
+}
+
+// Whether the paired player is still there to be told
+export async function announceRoom(queues, key, ticket, code) {
+  let assigned = false;
+  await queues.atomic(key, (queue) => {
+    const result = assignRoom(queue, ticket, code);
+    assigned = result.assigned;
+    return result.queue;
+  });
+  return assigned;
+}
+
+export async function exitQueue(queues, key, ticket) {
+  let code = null;
+  await queues.atomic(key, (queue) => {
+    const result = leaveQueue(queue, ticket);
+    code = result.code;
+    return result.queue;
+  });
+  return code;
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { joinQueue, leaveQueue, assignRoom, matchFor, enterQueue, exitQueue, announceRoom } from "./matchmaking.js";
+import { createLocalTransport } from "./room_transport.js";
+
+const alice = { uid: "alice", name: "Alice", ticket: "t-alice" };
+const bob = { uid: "bob", name: "Bob", ticket: "t-bob" };
+
+describe("joinQueue", () => {
+  it("waits in an empty queue", () => {
+    const { queue, opponent } = joinQueue(null, alice, 1000);
+    expect(opponent).toBe(null);
+    expect(queue.waiting).toEqual([{ ...alice, at: 1000 }]);
+  });
+
+  it("pairs with the longest-waiting player and claims their ticket", () => {
+    const { queue: first } = joinQueue(null, alice, 1000);
+    const { queue, opponent } = joinQueue(first, bob, 2000);
+    expect(opponent).toEqual({ ...alice, at: 1000 });
+    expect(queue.waiting).toEqual([]);
+    expect(queue.matches).toEqual({ [alice.ticket]: null });
+  });
+
+  it("skips the player's own earlier entry and entries left behind", () => {
+    const { queue: first } = joinQueue(null, alice, 1000);
+    expect(joinQueue(first, { ...alice, ticket: "t-again" }, 2000).opponent).toBe(null);
+    const stale = joinQueue(first, bob, 1000 + 10 * 60 * 1000);
+    expect(stale.opponent).toBe(null);
+    expect(stale.queue.waiting.map((w) => w.uid)).toEqual(["bob"]);
+  });
+});
+
+describe("assignRoom", () => {
+  it("leaves the code under a claimed ticket", () => {
+    const { queue } = joinQueue(joinQueue(null, alice, 1000).queue, bob, 2000);
+    const result = assignRoom(queue, alice.ticket, "ROOM42");
+    expect(result.assigned).toBe(true);
+    expect(matchFor(result.queue, alice.ticket)).toBe("ROOM42");
+  });
+
+  it("refuses a ticket whose player already gave up, and clears it", () => {
+    const { queue } = joinQueue(joinQueue(null, alice, 1000).queue, bob, 2000);
+    const left = leaveQueue(queue, alice.ticket).queue;
+    const result = assignRoom(left, alice.ticket, "ROOM42");
+    expect(result.assigned).toBe(false);
+    expect(result.queue.matches).toEqual({});
+  });
+});
+
+describe("leaveQueue", () => {
+  it("takes a waiting player off the queue", () => {
+    const { queue, code } = leaveQueue(joinQueue(null, alice, 1000).queue, alice.ticket);
+    expect(code).toBe(null);
+    expect(queue.waiting).toEqual([]);
+  });
+
+  it("hands over a room announced just before leaving", () => {
+    const { queue } = joinQueue(joinQueue(null, alice, 1000).queue, bob, 2000);
+    const { queue: after, code } = leaveQueue(assignRoom(queue, alice.ticket, "ROOM42").queue, alice.ticket);
+    expect(code).toBe("ROOM42");
+    expect(after.matches).toEqual({});
+  });
+
+  it("marks a claimed ticket given up while its room is on its way", () => {
+    const { queue } = joinQueue(joinQueue(null, alice, 1000).queue, bob, 2000);
+    const { queue: after, code } = leaveQueue(queue, alice.ticket);
+    expect(code).toBe(null);
+    expect(after.matches).toEqual({ [alice.ticket]: false });
+  });
+});
+
+describe("on the local transport", () => {
+  let queues;
+
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal("localStorage", {
+      getItem: (k) => (store.has(k) ? store.get(k) : null),
+      setItem: (k, v) => store.set(k, String(v)),
+      removeItem: (k) => store.delete(k),
+      key: (i) => [...store.keys()][i] ?? null,
+      get length() { return store.size; },
+    });
+    // One tab only: no channel to the others
+    vi.stubGlobal("BroadcastChannel", undefined);
+    queues = createLocalTransport({ namespace: "queue" });
+  });
+
+  it("pairs the second player, who announces a room the first one finds", async () => {
+    expect(await enterQueue(queues, "classic", alice)).toBe(null);
+    const opponent = await enterQueue(queues, "classic", bob);
+    expect(opponent.uid).toBe("alice");
+    expect(await announceRoom(queues, "classic", opponent.ticket, "ROOM42")).toBe(true);
+    expect(matchFor(await queues.get("classic"), alice.ticket)).toBe("ROOM42");
+    expect(await exitQueue(queues, "classic", alice.ticket)).toBe("ROOM42");
+    expect(await queues.get("classic")).toEqual({ waiting: [], matches: {} });
+  });
+
+  it("lets a player leave while still waiting", async () => {
+    await enterQueue(queues, "classic", alice);
+    expect(await exitQueue(queues, "classic", alice.ticket)).toBe(null);
+    expect(await enterQueue(queues, "classic", bob)).toBe(null);
+  });
+
+  it("tells the host when the waiting player timed out as they were paired", async () => {
+    await enterQueue(queues, "classic", alice);
+    const opponent = await enterQueue(queues, "classic", bob);
+    // Alice's timeout lands between Bob taking her off the queue and announcing the room
+    expect(await exitQueue(queues, "classic", alice.ticket)).toBe(null);
+    expect(await announceRoom(queues, "classic", opponent.ticket, "ROOM42")).toBe(false);
+    expect(await queues.get("classic")).toEqual({ waiting: [], matches: {} });
+  });
+});
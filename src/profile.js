@@ -0,0 +1,92 @@
+// --- Local Player Profile ---
+// Display name and lifetime statistics, kept in localStorage so they survive
+// reloads (unlike `bottleship_session`). Pure helpers plus load/save.
+//
+// Profile:
+// {
+//   version: 1,
+//   name: string,
+//   lastGameId: string | null,   // guards against counting one game twice
+//   stats: { [category]: { played, wins, losses, shots, hits, winningShots, streak, bestStreak } }
+// }
+// `streak` is positive for consecutive wins and negative for consecutive losses.
+
+const STORAGE_KEY = 'bottleship_profile';
+const PROFILE_VERSION = 1;
+
+// One row per mode, AI split by difficulty. Pass & Play is counted from
+// Player 1's side, since that is who the profile name prefills.
+export const STAT_CATEGORIES = [
+  { id: "ai-easy", label: "🤖 AI · Easy" },
+  { id: "ai-normal", label: "🤖 AI · Normal" },
+  { id: "ai-expert", label: "🤖 AI · Expert" },
+  { id: "pass", label: "👥 Pass & Play" },
+  { id: "online", label: "🌐 Online" },
+];
+
+export const statCategory = (mode, aiLevel) => (mode === "ai" ? `ai-${aiLevel}` : mode);
+
+const emptyStats = () => ({ played: 0, wins: 0, losses: 0, shots: 0, hits: 0, winningShots: 0, streak: 0, bestStreak: 0 });
+const emptyProfile = () => ({ version: PROFILE_VERSION, name: "", lastGameId: null, stats: {} });
+
+export function loadProfile() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && saved.version === PROFILE_VERSION ? { ...emptyProfile(), ...saved } : emptyProfile();
+  } catch {
+    return emptyProfile();
+  }
+}
+
+export function saveProfile(profile) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  return profile;
+}
+
+export const withName = (profile, name) => ({ ...profile, name: name.trim() || profile.name });
+
+// New profile with one finished game added. `gameId` identifies the game so
+// repeated calls (e.g. from several snapshots) only count it once.
+export function recordGame(profile, { category, won, shots, hits, gameId = null }) {
+  if (gameId && profile.lastGameId === gameId) return profile;
+  const s = { ...emptyStats(), ...profile.stats[category] };
+  const streak = won ? Math.max(s.streak, 0) + 1 : Math.min(s.streak, 0) - 1;
+  const next = {
+    played: s.played + 1,
+    wins: s.wins + (won ? 1 : 0),
+    losses: s.losses + (won ? 0 : 1),
+    shots: s.shots + shots,
+    hits: s.hits + hits,
+    winningShots: s.winningShots + (won ? shots : 0),
+    streak,
+    bestStreak: Math.max(s.bestStreak, streak),
+  };
+  return { ...profile, lastGameId: gameId, stats: { ...profile.stats, [category]: next } };
+}
+
+// Display values for one category (null where there is nothing to show yet).
+export function summarize(stats) {
+  const s = { ...emptyStats(), ...stats };
+  return {
+    played: s.played,
+    record: `${s.wins}–${s.losses}`,
+    winRate: s.played ? Math.round((100 * s.wins) / s.played) : null,
+    accuracy: s.shots ? Math.round((100 * s.hits) / s.shots) : null,
+    avgShotsToWin: s.wins ? Math.round((10 * s.winningShots) / s.wins) / 10 : null,
+    streak: s.streak,
+    bestStreak: s.bestStreak,
+  };
+}
+
+export function totals(profile) {
+  return Object.values(profile.stats).reduce((sum, s) => ({
+    ...sum,
+    played: sum.played + s.played,
+    wins: sum.wins + s.wins,
+    losses: sum.losses + s.losses,
+    shots: sum.shots + s.shots,
+    hits: sum.hits + s.hits,
+    winningShots: sum.winningShots + s.winningShots,
+    bestStreak: Math.max(sum.bestStreak, s.bestStreak),
+  }), emptyStats());
+}
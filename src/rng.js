@@ -0,0 +1,38 @@
+// --- Seeded Random Numbers ---
+// Small deterministic PRNG (mulberry32) so layouts and AI choices can be
+// replayed exactly from a seed. `rand()` has the same contract as Math.random.
+
+// Any string or number -> 32-bit seed
+export function seedFrom(value) {
+  const text = String(value);
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  let state = seedFrom(seed);
+  return function rand() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh, unpredictable seed for a new game. This is the only place that
+// draws real entropy; everything downstream is derived from the seed.
+export function newSeed() {
+  return Array.from(crypto.getRandomValues(new Uint32Array(2)), (n) => n.toString(36)).join('').slice(0, 10);
+}
+
+// Same seed for everyone on the same (UTC) day
+export const dailySeed = (date = new Date()) => `daily-${date.toISOString().slice(0, 10)}`;
+
+// Independent stream for one purpose (e.g. "ai-layout"), so using one stream
+// more or less often never shifts the numbers another one produces.
+export const streamFor = (seed, purpose) => createRng(`${seed}:${purpose}`);
@@ -0,0 +1,87 @@
+// --- Room Codes and Lifecycle ---
+// Codes are CODE_LENGTH characters from an alphabet without look-alikes (no
+// O/0, I/1), so they survive being read out or typed from a phone. Input is
+// normalised, so case, spaces and dashes don't matter.
+//
+// A room's last activity is the latest of `created`, `updatedAt` (stamped on
+// creation, by every transaction and by every heartbeat) and the presence
+// heartbeats (`${role}SeenAt`).
+//   - a `waiting` room idle for WAITING_TTL_MS is stale: nobody is coming back
+//     to it, so the sweep marks it `abandoned`
+//   - an `abandoned` room idle for WAITING_TTL_MS, any room idle for
+//     IDLE_TTL_MS and any room older than ROOM_TTL_MS is expired and deleted
+// firestore.rules enforces the same limits, so any signed-in client can sweep.
+
+import { ROLES } from "./room_players.js";
+
+export const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CODE_LENGTH = 6;
+
+export const WAITING_TTL_MS = 30 * 60 * 1000;
+export const IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+export const ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The alphabet has 32 letters, so `% 32` of a random 32-bit value is unbiased.
+export function generateRoomCode() {
+  const values = crypto.getRandomValues(new Uint32Array(CODE_LENGTH));
+  return Array.from(values, (v) => CODE_ALPHABET[v % CODE_ALPHABET.length]).join("");
+}
+
+export const normalizeRoomCode = (input) => String(input || "").toUpperCase().replace(/[\s-]/g, "");
+
+export const isRoomCode = (code) =>
+  code.length === CODE_LENGTH && [...code].every((c) => CODE_ALPHABET.includes(c));
+
+export const lastActivity = (room) =>
+  Math.max(room.created || 0, room.updatedAt || 0, ...ROLES.map((role) => room[`${role}SeenAt`] || 0));
+
+// 'live' | 'stale' (waiting, to be marked abandoned) | 'expired' (to be deleted)
+export function roomState(room, now) {
+  const idle = now - lastActivity(room);
+  if (now - (room.created || 0) > ROOM_TTL_MS || idle > IDLE_TTL_MS) return "expired";
+  if (idle <= WAITING_TTL_MS) return "live";
+  if (room.status === "waiting") return "stale";
+  return room.status === "abandoned" ? "expired" : "live";
+}
+
+// --- Against a transport ---
+const CREATE_ATTEMPTS = 5;
+const SWEEP_BATCH = 20;
+
+// Creates `data` under a fresh code and returns the code. A code is only
+// taken if no room has it, checked in the same transaction as the write;
+// an expired room in the way is deleted first.
+export async function openRoom(rooms, data) {
+  for (let attempt = 0; attempt < CREATE_ATTEMPTS; attempt++) {
+    const code = generateRoomCode();
+    const existing = await rooms.get(code);
+    if (existing && roomState(existing, Date.now()) !== "expired") continue;
+    if (existing) await rooms.remove(code);
+    const written = await rooms.atomic(code, (current) => (current ? null : { ...data, updatedAt: Date.now() }));
+    if (written) return code;
+  }
+  throw new Error("Couldn't find a free room code, please try again");
+}
+
+// Marks stale waiting rooms abandoned and deletes expired ones. Several
+// clients may sweep at once, so each room is handled on its own and a room
+// someone else already dealt with is simply skipped. Each query only finds
+// rooms there is something to do about, least recently active first, so
+// live rooms never fill the batch and every sweep gets through some.
+export async function sweepRooms(rooms, now = Date.now()) {
+  const batches = await Promise.all([
+    rooms.listIdleBefore(now - IDLE_TTL_MS, SWEEP_BATCH),
+    rooms.listIdleBefore(now - WAITING_TTL_MS, SWEEP_BATCH, ["waiting", "abandoned"]),
+    // Rooms from before `updatedAt` was stamped on creation
+    rooms.listCreatedBefore(now - ROOM_TTL_MS, SWEEP_BATCH),
+  ]);
+  const candidates = [...new Map(batches.flat().map((room) => [room.code, room])).values()];
+  await Promise.allSettled(candidates.map(({ code, data }) => {
+    const state = roomState(data, now);
+    if (state === "expired") return rooms.remove(code);
+    if (state === "stale") {
+      return rooms.transact(code, (room) => (roomState(room, now) === "stale" ? { status: "abandoned" } : null));
+    }
+    return null;
+  }));
+}
@@ -0,0 +1,72 @@
+// --- Room Players ---
+// Who sits in an online room. Every seat is a role: "host" (who created the
+// room) and "guest" as always, then "guest2" and "guest3" in free-for-all
+// rooms. The room document lists its roles in turn order:
+//
+//   players: ["host", "guest", "guest2"]
+//
+// and keeps the usual per-role fields for each: `${role}` (the uid, empty
+// until someone takes the seat), `${role}Name`, `${role}SeenAt`,
+// `${role}Commit` and `${role}Reveal`. Rooms from before free-for-all have
+// no `players` and are two-player.
+//
+// 2 vs 2 rooms have four seats and `teams: true`. The game itself is then
+// between two sides, "host" (with "guest2") and "guest" (with "guest3"):
+// everything about the game (commits, reveals, boards, turn, winner) is kept
+// under the side's role, and either teammate may write it. Seats stay per
+// person for joining, names and presence. Teammates take turns to shoot:
+//
+//   shooters: { host: "guest2" }   whose shot it is per side (default the side)
+
+export const ROLES = ["host", "guest", "guest2", "guest3"];
+
+export const PLAYER_COUNT_OPTIONS = [
+  { id: "1v1", count: 2, label: "👥 1 vs 1" },
+  { id: "ffa3", count: 3, label: "👥 3 players" },
+  { id: "ffa4", count: 4, label: "👥 4 players" },
+  { id: "2v2", count: 4, teams: true, label: "🤝 2 vs 2 teams" },
+];
+export const DEFAULT_PLAYER_OPTION = "1v1";
+export const playerOption = (id) => PLAYER_COUNT_OPTIONS.find((o) => o.id === id) || PLAYER_COUNT_OPTIONS[0];
+
+const TEAMS = { host: ["host", "guest2"], guest: ["guest", "guest3"] };
+
+export const rolesFor = (count) => ROLES.slice(0, count);
+export const playersOf = (room) => room?.players || rolesFor(2);
+export const isTeamRoom = (room) => room?.teams === true;
+
+// The roles the game is played between: the two sides in 2 vs 2, else everyone
+export const sidesOf = (room) => (isTeamRoom(room) ? Object.keys(TEAMS) : playersOf(room));
+export const sideOf = (room, role) =>
+  (isTeamRoom(room) ? Object.keys(TEAMS).find((side) => TEAMS[side].includes(role)) || role : role);
+export const membersOf = (room, side) => (isTeamRoom(room) && TEAMS[side]) || [side];
+export const teammateOf = (room, role) => membersOf(room, sideOf(room, role)).find((r) => r !== role) || null;
+export const isFreeForAll = (room) => sidesOf(room).length > 2;
+
+// The role `uid` holds in the room, or null. With the same uid in several
+// seats (two tabs of one browser) `preferred` picks which one is us.
+export function roleOf(room, uid, preferred = null) {
+  if (preferred && room?.[preferred] === uid) return preferred;
+  return playersOf(room).find((role) => room[role] === uid) || null;
+}
+
+export const seatsTaken = (room) => playersOf(room).filter((role) => room?.[role]).length;
+export const everyoneJoined = (room) => seatsTaken(room) === playersOf(room).length;
+
+// The seat a joining `uid` gets: the one it already has, else the first free one.
+export const openRole = (room, uid) => roleOf(room, uid) || playersOf(room).find((role) => !room[role]) || null;
+
+// The sides still in the game, in turn order
+export const playersLeft = (room) => sidesOf(room).filter((role) => !(room.out || []).includes(role));
+
+export const nameOf = (room, role) => room?.[`${role}Name`] || `Player ${playersOf(room).indexOf(role) + 1}`;
+// A side's name: the player's own, or both teammates' in 2 vs 2
+export const sideName = (room, side) => membersOf(room, side).map((r) => nameOf(room, r)).join(" & ");
+
+// Which teammate shoots for `side` now. Teammates take turns shot by shot, a
+// strike or salvo counting as one, starting with the side's own role. Moves
+// don't count. Outside 2 vs 2 it is always the side itself.
+export const shooterFor = (room, side) => room.shooters?.[side] || side;
+
+// `shooters` once a shot by `side` has landed: the other teammate is next
+export const passShot = (room, side) => ({ ...room.shooters, [side]: teammateOf(room, shooterFor(room, side)) });
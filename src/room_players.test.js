@@ -0,0 +1,19 @@
+import { describe, it, expect } from "vitest";
+import { shooterFor, passShot } from "./room_players.js";
+
+const teams = { players: ["host", "guest", "guest2", "guest3"], teams: true };
+
+describe("shooterFor", () => {
+  it("starts each side with its own role and alternates teammates shot by shot", () => {
+    expect(shooterFor(teams, "host")).toBe("host");
+    const once = { ...teams, shooters: passShot(teams, "host") };
+    expect(shooterFor(once, "host")).toBe("guest2");
+    expect(shooterFor(once, "guest")).toBe("guest");
+    const twice = { ...once, shooters: passShot(once, "host") };
+    expect(twice.shooters).toEqual({ host: "host" });
+  });
+
+  it("is always the side itself outside 2 vs 2", () => {
+    expect(shooterFor({ players: ["host", "guest", "guest2"] }, "guest2")).toBe("guest2");
+  });
+});
@@ -0,0 +1,262 @@
+// --- Room Transport ---
+// Everything online mode needs from a backend, so the sync logic in the app
+// never talks to Firestore directly. Two implementations:
+//   - firestore_transport.js: the real thing
+//   - createLocalTransport below: localStorage + BroadcastChannel, so two tabs
+//     of the same browser can play with no network at all
+//
+// A transport provides these primitives:
+//   create(code, data)                  -> Promise, writes a new room
+//   get(code)                           -> Promise<data | null>
+//   update(code, fields)                -> Promise, shallow merge of top-level fields
+//   atomic(code, change)                -> Promise<fields | null>; reads the document (null if
+//                                          missing), calls change(data) and writes the fields
+//                                          it returns (nothing if null), creating the document
+//                                          if needed, with no other write in between
+//   subscribe(code, onData, onError)    -> unsubscribe; onData(data | null) on every change
+//   remove(code)                        -> Promise, deletes the room and its private documents
+//   listCreatedBefore(time, max)        -> Promise<[{ code, data }]>, up to `max` rooms created before `time`
+//   listIdleBefore(time, max, statuses?)
+//                                       -> Promise<[{ code, data }]>, up to `max` rooms with `updatedAt`
+//                                          before `time` (and a status in `statuses`), oldest first
+//   savePrivate(code, role, data)       -> Promise, owner-only layout document
+//   loadPrivate(code, role)             -> Promise<data | null>
+//   addMessage(code, message, team?)    -> Promise, appends a chat message (see chat.js), to
+//                                          the room or only to one side's team channel
+//   subscribeMessages(code, onMessages, onError, team?)
+//                                       -> unsubscribe; onMessages(the last CHAT_HISTORY
+//                                          messages, oldest first) on every new message
+// and withRoomOps adds the shared transaction, join and leave logic on top.
+
+import { roomState } from './room_lifecycle.js';
+import { CHAT_HISTORY } from './chat.js';
+import { ROLES, openRole, playersOf } from './room_players.js';
+
+// A move the room's current state doesn't allow (not your turn, already
+// answered, ...). `rejected` tells callers to show `message` to the player
+// rather than log it as a failure.
+export const moveRejected = (message) => Object.assign(new Error(message), { rejected: true });
+
+export function withRoomOps(transport) {
+  // Every transactional write bumps `seq` and stamps `updatedAt` (which keeps
+  // the room from expiring). Passing the `seq` of the snapshot a move was
+  // based on rejects it if anything changed since.
+  function transact(code, change, { seq = null } = {}) {
+    return transport.atomic(code, (data) => {
+      if (!data) throw moveRejected('Room not found');
+      // The move's own checks run first so their message is the specific one
+      const fields = change(data);
+      const current = data.seq || 0;
+      if (seq !== null && current !== seq) throw moveRejected('The game changed before your move arrived, try again');
+      return fields ? { ...fields, seq: current + 1, updatedAt: Date.now() } : null;
+    });
+  }
+
+  return {
+    ...transport,
+    transact,
+
+    // Takes the first free seat (or the one `uid` already has) under `name`.
+    // Resolves with the role taken, or rejects with a message for the user.
+    // Placement starts once every seat is filled.
+    async join(code, uid, name) {
+      let role = null;
+      await transact(code, (data) => {
+        if (roomState(data, Date.now()) === 'expired') throw moveRejected('This room has expired');
+        if (data.status === 'abandoned') throw moveRejected('This room has been closed');
+        role = openRole(data, uid);
+        const rejoining = Boolean(role) && data[role] === uid;
+        // `canWatch`: the room is fine, there's just no seat left, so offer to spectate
+        if (!role) throw Object.assign(moveRejected('Room full'), { canWatch: true });
+        if (data.status !== 'waiting' && !rejoining) {
+          throw Object.assign(moveRejected('This game has already started'), { canWatch: true });
+        }
+        if (rejoining) return { [`${role}Name`]: name };
+        const full = playersOf(data).every((r) => r === role || data[r]);
+        return { [role]: uid, [`${role}Name`]: name, status: full ? 'setup' : 'waiting' };
+      });
+      return role;
+    },
+
+    // Closes the room. A guest leaving a room that still waits for players
+    // only gives up its seat, so the others can keep waiting.
+    leave(code, role = 'host') {
+      return transact(code, (data) => (data.status === 'waiting' && role !== 'host'
+        ? { [role]: null, [`${role}Name`]: null, [`${role}SeenAt`]: null }
+        : { status: 'abandoned' }));
+    },
+
+    // Spectators live in `spectators: { [uid]: { name, seenAt } }`. Watching
+    // again refreshes `seenAt` (keeping the name when none is given). These
+    // writes don't bump `seq`, so a crowd never invalidates a player's move.
+    watch(code, uid, name = null) {
+      return transport.atomic(code, (data) => {
+        if (!data) throw moveRejected('Room not found');
+        if (data.status === 'abandoned' || roomState(data, Date.now()) === 'expired') {
+          throw moveRejected('This room has been closed');
+        }
+        const entry = { name: name || data.spectators?.[uid]?.name || 'Spectator', seenAt: Date.now() };
+        return { spectators: { ...data.spectators, [uid]: entry } };
+      });
+    },
+
+    unwatch(code, uid) {
+      return transport.atomic(code, (data) => {
+        if (!data?.spectators?.[uid]) return null;
+        const { [uid]: _gone, ...spectators } = data.spectators;
+        return { spectators };
+      });
+    },
+  };
+}
+
+// --- Local (offline) transport ---
+// Rooms live in localStorage; a BroadcastChannel tells the other tabs to
+// re-read them. Nothing here is private from the other tab, so this is for
+// development and offline play, not for fair play between strangers.
+const read = (key) => JSON.parse(localStorage.getItem(key) || 'null');
+
+// `namespace` keeps separate kinds of documents (rooms, the matchmaking
+// queue) apart, like a Firestore collection.
+export function createLocalTransport({ namespace = 'room' } = {}) {
+  const channelName = `bottleship_${namespace}s`;
+  const roomKey = (code) => `bottleship_${namespace}_${code}`;
+  const privateKey = (code, role) => `bottleship_${namespace}_${code}_private_${role}`;
+  const chatKey = (code, team = null) => `bottleship_${namespace}_${code}_chat${team ? `_${team}` : ''}`;
+  // Chat listeners share the channel, under their own key
+  const chatTopic = (code, team = null) => `${code}/chat${team ? `/${team}` : ''}`;
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+  const listeners = new Set(); // this tab's subscribers: { code, notify }
+
+  // Like Firestore, listeners in the writing tab hear about their own writes
+  // too, just asynchronously.
+  function changed(code) {
+    setTimeout(() => listeners.forEach((l) => l.code === code && l.notify()), 0);
+    if (channel) channel.postMessage({ code });
+  }
+
+  // Tabs share localStorage, so read-modify-write needs a cross-tab lock
+  // (Web Locks); without it only this tab is serialised.
+  function withLock(code, task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(`${channelName}:${code}`, task);
+    }
+    return Promise.resolve().then(task);
+  }
+
+  function write(code, data) {
+    localStorage.setItem(roomKey(code), JSON.stringify(data));
+    changed(code);
+  }
+
+  // Calls onData(load()) now and whenever `topic` (a room code, or a room's
+  // chat) changes in any tab
+  function listen(topic, load, onData, onError = () => {}) {
+    const listener = {
+      code: topic,
+      notify: () => {
+        if (!listeners.has(listener)) return;
+        try {
+          onData(load());
+        } catch (e) {
+          onError(e);
+        }
+      },
+    };
+    listeners.add(listener);
+    setTimeout(listener.notify, 0);
+    return () => listeners.delete(listener);
+  }
+
+  if (channel) {
+    channel.onmessage = (e) => listeners.forEach((l) => l.code === e.data.code && l.notify());
+  }
+
+  return withRoomOps({
+    kind: 'local',
+
+    async create(code, data) {
+      write(code, data);
+    },
+
+    async get(code) {
+      return read(roomKey(code));
+    },
+
+    // A merge is a read-modify-write too, so heartbeats can't undo a move
+    update(code, fields) {
+      return withLock(code, () => {
+        const data = read(roomKey(code));
+        if (!data) throw new Error('Room not found');
+        write(code, { ...data, ...fields });
+      });
+    },
+
+    atomic(code, change) {
+      return withLock(code, () => {
+        const data = read(roomKey(code));
+        const fields = change(data);
+        if (fields) write(code, { ...data, ...fields });
+        return fields;
+      });
+    },
+
+    subscribe(code, onData, onError) {
+      return listen(code, () => read(roomKey(code)), onData, onError);
+    },
+
+    async savePrivate(code, role, data) {
+      localStorage.setItem(privateKey(code, role), JSON.stringify(data));
+    },
+
+    async loadPrivate(code, role) {
+      return read(privateKey(code, role));
+    },
+
+    async remove(code) {
+      localStorage.removeItem(roomKey(code));
+      localStorage.removeItem(chatKey(code));
+      ROLES.forEach((role) => {
+        localStorage.removeItem(privateKey(code, role));
+        localStorage.removeItem(chatKey(code, role));
+      });
+      changed(code);
+    },
+
+    addMessage(code, message, team = null) {
+      return withLock(chatTopic(code, team), () => {
+        const messages = read(chatKey(code, team)) || [];
+        localStorage.setItem(chatKey(code, team), JSON.stringify([...messages, message].slice(-CHAT_HISTORY)));
+        changed(chatTopic(code, team));
+      });
+    },
+
+    subscribeMessages(code, onMessages, onError, team = null) {
+      return listen(chatTopic(code, team), () => read(chatKey(code, team)) || [], onMessages, onError);
+    },
+
+    async listCreatedBefore(time, max) {
+      const pattern = new RegExp(`^bottleship_${namespace}_([^_]+)$`);
+      const found = [];
+      for (let i = 0; i < localStorage.length && found.length < max; i++) {
+        const code = pattern.exec(localStorage.key(i))?.[1];
+        const data = code && read(roomKey(code));
+        if (data && (data.created || 0) < time) found.push({ code, data });
+      }
+      return found;
+    },
+
+    async listIdleBefore(time, max, statuses = null) {
+      const pattern = new RegExp(`^bottleship_${namespace}_([^_]+)$`);
+      const found = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const code = pattern.exec(localStorage.key(i))?.[1];
+        const data = code && read(roomKey(code));
+        if (data && data.updatedAt != null && data.updatedAt < time && (!statuses || statuses.includes(data.status))) {
+          found.push({ code, data });
+        }
+      }
+      return found.sort((a, b) => a.data.updatedAt - b.data.updatedAt).slice(0, max);
+    },
+  });
+}
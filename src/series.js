@@ -0,0 +1,82 @@
+// --- Rematches and Series ---
+// Online rooms play a series of games. The room document keeps
+//
+//   series:  { bestOf: 1 | 3 | 5, wins: { [role]: n }, games, first: role }
+//   rematch: { [role]?: true }   who has asked for the next game
+//
+// `wins` only counts games folded in by a rematch; the game on the board is
+// added on top while it is finished, so the score is right before and after.
+// `first` is who shoots first in the current game and moves on to the next
+// player (see room_players.js) every game. In 2 vs 2 the wins and `first`
+// are per side. A rematch starts once every player has asked; anyone may ask
+// first.
+
+import { playersOf, sidesOf, rolesFor } from './room_players.js';
+
+export const SERIES_OPTIONS = [
+  { bestOf: 1, label: "1️⃣ Single game" },
+  { bestOf: 3, label: "🥉 Best of 3" },
+  { bestOf: 5, label: "🏅 Best of 5" },
+];
+export const DEFAULT_BEST_OF = 1;
+
+export const createSeries = (bestOf = DEFAULT_BEST_OF, roles = rolesFor(2)) =>
+  ({ bestOf, wins: Object.fromEntries(roles.map((r) => [r, 0])), games: 1, first: roles[0] });
+
+// Older rooms have no series: treat them as a fresh single game.
+const seriesOf = (room) => room.series || createSeries(DEFAULT_BEST_OF, sidesOf(room));
+
+const after = (room, role) => {
+  const roles = sidesOf(room);
+  return roles[(roles.indexOf(role) + 1) % roles.length];
+};
+
+// Wins per role, including the current game once it has a winner.
+export function seriesScore(room) {
+  const { wins } = seriesOf(room);
+  return room.winner ? { ...wins, [room.winner]: wins[room.winner] + 1 } : wins;
+}
+
+// The role that has won the series, or null while it is still open.
+export function seriesWinner(room) {
+  const score = seriesScore(room);
+  const needed = Math.floor(seriesOf(room).bestOf / 2) + 1;
+  return sidesOf(room).find((role) => score[role] >= needed) || null;
+}
+
+// The series after the finished game: its result counted, the next player
+// first next time. A decided series starts over at the same length.
+export function nextGame(room) {
+  const series = seriesOf(room);
+  const first = after(room, series.first);
+  if (seriesWinner(room)) return { ...createSeries(series.bestOf, sidesOf(room)), first };
+  return { ...series, wins: seriesScore(room), games: series.games + 1, first };
+}
+
+// Room fields for `role` asking for a rematch: just the request, or the reset
+// for the next game if everyone else already asked.
+export function requestRematch(room, role) {
+  if (room.status !== "finished" || room.rematch?.[role]) return null;
+  const rematch = { ...room.rematch, [role]: true };
+  if (!playersOf(room).every((r) => rematch[r])) return { rematch };
+  const series = nextGame(room);
+  return {
+    status: "setup",
+    ...Object.fromEntries(playersOf(room).flatMap((r) => [[`${r}Commit`, null], [`${r}Reveal`, null], [`${r}PlacedBy`, null]])),
+    boards: {},
+    pendingShot: null,
+    shooters: null,
+    arsenal: null,
+    out: [],
+    resigned: [],
+    log: [],
+    lastResult: null,
+    winner: null,
+    forfeit: null,
+    timeout: null,
+    clock: null,
+    rematch: null,
+    series,
+    turn: series.first,
+  };
+}
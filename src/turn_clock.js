@@ -0,0 +1,58 @@
+// --- Turn Clock ---
+// Optional time controls, as plain data so the same clock can live in React
+// state (AI, Pass & Play) or in the room document (online):
+//
+//   { id, running: seat | null, startedAt: ms | null, banks: { [seat]: ms } }
+//
+// "turn" clocks give every shot its own allowance and fire a random shot when
+// it runs out. "chess" clocks give each player a total bank; running out loses.
+
+export const CLOCK_OPTIONS = {
+  off: { id: "off", kind: "off", seconds: 0, label: "♾️ No clock" },
+  turn15: { id: "turn15", kind: "turn", seconds: 15, label: "⏱️ 15s per shot" },
+  turn30: { id: "turn30", kind: "turn", seconds: 30, label: "⏱️ 30s per shot" },
+  chess3: { id: "chess3", kind: "chess", seconds: 180, label: "♟️ 3 min each" },
+  chess5: { id: "chess5", kind: "chess", seconds: 300, label: "♟️ 5 min each" },
+};
+export const DEFAULT_CLOCK = "off";
+
+export const clockOption = (id) => CLOCK_OPTIONS[id] || CLOCK_OPTIONS[DEFAULT_CLOCK];
+
+export function createClock(id, seats) {
+  const { seconds } = clockOption(id);
+  return { id, running: null, startedAt: null, banks: Object.fromEntries(seats.map((s) => [s, seconds * 1000])) };
+}
+
+// Time the running seat has used since its clock started.
+const usedSince = (clock, now) => (clock.running && clock.startedAt != null ? Math.max(0, now - clock.startedAt) : 0);
+
+// Stops the current seat's clock (charging a chess bank) and starts `seat`'s.
+// Called after every shot, so a per-shot allowance restarts even on a hit.
+export function switchClock(clock, seat, now) {
+  if (!clock || clockOption(clock.id).kind === "off") return clock;
+  const banks = { ...clock.banks };
+  if (clockOption(clock.id).kind === "chess" && clock.running) {
+    banks[clock.running] = Math.max(0, banks[clock.running] - usedSince(clock, now));
+  }
+  return { ...clock, banks, running: seat, startedAt: seat ? now : null };
+}
+
+export const stopClock = (clock, now) => switchClock(clock, null, now);
+
+// Milliseconds `seat` has left right now (per-shot allowance or chess bank).
+export function timeLeft(clock, seat, now) {
+  if (!clock) return null;
+  const { kind, seconds } = clockOption(clock.id);
+  if (kind === "off") return null;
+  const running = clock.running === seat;
+  if (kind === "turn") return running ? Math.max(0, seconds * 1000 - usedSince(clock, now)) : seconds * 1000;
+  return Math.max(0, clock.banks[seat] - (running ? usedSince(clock, now) : 0));
+}
+
+export const isFlagged = (clock, now) =>
+  Boolean(clock && clock.running && timeLeft(clock, clock.running, now) === 0);
+
+export function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return total >= 60 ? `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}` : `${total}s`;
+}